@@ -0,0 +1,961 @@
+'use strict';
+
+/**
+ * The streak rules: how a task's day is secured, how days roll over (period checks, freezes, decay,
+ * auto-secure) and how a backdated add replays the days after it. No HTTP, storage or wall clock in
+ * here, so the rules can be run and tested on their own.
+ *
+ * A task is the plain object server.js keeps (see normalizeTask there); these functions change it
+ * in place and append to its ledger. Days are YYYY-MM-DD keys on the owner's clock, and dayKeyAt()
+ * turns a time into one. Whatever needs the time or has side effects comes from createEngine():
+ *   now()                    ms since 1970, for ledger entries and secure/freeze times (Date.now)
+ *   newId()                  ids for ledger entries (crypto.randomUUID)
+ *   emit(task, event, data)  webhook events: task.secured, streak.reset, milestone.reached
+ *   graceDays                how many days back an add can be replayed from (default 2)
+ * and engine.simulate(task, inputs, days) runs a copy of a task through whole days without touching
+ * the original. Tests: test/engine.test.js (node --test).
+ */
+
+const crypto = require('crypto');
+
+const EPS = 1e-9;
+const DAY_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MILESTONES = [7, 30, 100, 365];
+
+// Day keys
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+const ZONED_FORMATS = new Map();
+
+function zonedFormat(timeZone) {
+  let fmt = ZONED_FORMATS.get(timeZone || '');
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+    ZONED_FORMATS.set(timeZone || '', fmt);
+  }
+  return fmt;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    zonedFormat(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Day key of `date` on a clock { timeZone, dayStartHour }: hours before dayStartHour still belong
+// to the previous day. A null timeZone is the server process's own zone.
+function dayKeyAt(date, clock) {
+  const parts = {};
+  for (const p of zonedFormat(clock.timeZone).formatToParts(date)) parts[p.type] = p.value;
+  const key = `${parts.year}-${parts.month}-${parts.day}`;
+  return Number(parts.hour) < clock.dayStartHour ? addDaysKey(key, -1) : key;
+}
+
+// Minutes since the start of the day `date` falls in, on `clock` (so with a 04:00 day start, 01:30
+// is 21.5 hours into the day).
+function minutesIntoDay(date, clock) {
+  const parts = {};
+  for (const p of zonedFormat(clock.timeZone).formatToParts(date)) parts[p.type] = p.value;
+  return (Number(parts.hour) * 60 + Number(parts.minute) - clock.dayStartHour * 60 + 1440) % 1440;
+}
+
+function dateKeyFromUTCDate(d) {
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+function addDaysKey(dateKey, days) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey);
+  if (!m) return null;
+  const y = Number(m[1]);
+  const mo = Number(m[2]);
+  const da = Number(m[3]);
+  const d = new Date(Date.UTC(y, mo - 1, da));
+  d.setUTCDate(d.getUTCDate() + days);
+  return dateKeyFromUTCDate(d);
+}
+
+function dayNumberUTC(dateKey) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey);
+  if (!m) return NaN;
+  const y = Number(m[1]);
+  const mo = Number(m[2]);
+  const da = Number(m[3]);
+  return Math.floor(Date.UTC(y, mo - 1, da) / 86400000);
+}
+
+function dayDiff(fromKey, toKey) {
+  return dayNumberUTC(toKey) - dayNumberUTC(fromKey);
+}
+
+// 0 = Sunday ... 6 = Saturday
+function weekdayOfKey(dateKey) {
+  return new Date(dayNumberUTC(dateKey) * 86400000).getUTCDay();
+}
+
+function roundTo(n, digits = 6) {
+  if (!Number.isFinite(n)) return 0;
+  const f = 10 ** digits;
+  return Math.round((n + Number.EPSILON) * f) / f;
+}
+
+function asSafeNumber(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Rules that only read or reshape the task
+
+function decayHopper(hopper, rules) {
+  let next = hopper;
+  if (rules.decayMode === 'multiply') next = hopper * rules.decayValue;
+  else if (rules.decayMode === 'subtract-fixed') next = hopper - rules.decayValue;
+  else if (rules.decayMode === 'subtract-threshold') next = hopper - rules.threshold;
+  next = Math.max(0, roundTo(next));
+  if (rules.carryCap !== null) next = Math.min(next, rules.carryCap);
+  return next;
+}
+
+// Booked rest days are never scheduled: they neither decay the hopper nor count towards the period.
+function isRestDay(task, dayKey) {
+  return task.restDays.includes(dayKey);
+}
+
+function isScheduledDay(task, dayKey) {
+  if (isRestDay(task, dayKey)) return false;
+  const s = task.schedule;
+  if (s.type === 'weekdays') return s.days.includes(weekdayOfKey(dayKey));
+  return true;
+}
+
+// First day of the period containing dayKey. Daily and weekday schedules have one-day periods.
+function periodStartKey(task, dayKey) {
+  const s = task.schedule;
+  if (s.type !== 'weekly') return dayKey;
+  if (s.window === 'rolling') {
+    const offset = ((dayDiff(s.anchor, dayKey) % 7) + 7) % 7;
+    return addDaysKey(dayKey, -offset);
+  }
+  // calendar weeks start on Monday
+  return addDaysKey(dayKey, -((weekdayOfKey(dayKey) + 6) % 7));
+}
+
+// Secured days needed for the period starting at periodKey to count towards the streak.
+function requiredHits(task, periodKey) {
+  const s = task.schedule;
+  if (s.type === 'weekly') {
+    const periodEnd = addDaysKey(periodKey, 6);
+    const resting = task.restDays.filter((d) => d >= periodKey && d <= periodEnd).length;
+    return Math.max(0, s.times - resting);
+  }
+  return isScheduledDay(task, periodKey) ? 1 : 0;
+}
+
+// The period the streak grew for, if it's the current one: tasks stored before countedPeriodKey was
+// kept (and snapshots taken before it) counted a period once its secured days reached the requirement.
+function countedPeriodKeyFromHits(task) {
+  const required = requiredHits(task, task.periodKey);
+  return required > 0 && task.periodHits >= required ? task.periodKey : null;
+}
+
+// Re-derive the current period after the schedule or dayKey changed underneath it. A day secured
+// already (and counted) counts for the new period too, so it can't grow the streak twice.
+function resetPeriod(task) {
+  const key = periodStartKey(task, task.dayKey);
+  if (key !== task.periodKey) {
+    task.periodKey = key;
+    task.periodHits = task.securedToday ? 1 : 0;
+    task.countedPeriodKey = task.securedToday ? countedPeriodKeyFromHits(task) : null;
+  }
+}
+
+// The fields a same-day secure changes, taken just before it (see secureRecord).
+function secureSnapshot(task) {
+  return {
+    streak: task.streak,
+    periodHits: task.periodHits,
+    countedPeriodKey: task.countedPeriodKey,
+    freezes: task.freezes,
+    lastSecuredAt: task.lastSecuredAt,
+    lastSecuredReason: task.lastSecuredReason,
+    lastSecuredBy: task.lastSecuredBy,
+    bestStreak: task.bestStreak,
+    bestStreakDayKey: task.bestStreakDayKey,
+    milestones: task.milestones.slice(),
+  };
+}
+
+// What the secure since `snap` (secureSnapshot) did, kept on its ledger entry (as secureSnapshot) so
+// an undo/correction can take back just that: freezes booked or granted, and records set, after the
+// secure are left alone.
+function secureRecord(task, snap) {
+  return {
+    ...snap,
+    effects: {
+      streak: task.streak - snap.streak,
+      periodHits: task.periodHits - snap.periodHits,
+      counted: task.countedPeriodKey !== snap.countedPeriodKey,
+      freezesEarned: Math.max(0, task.freezes - snap.freezes),
+      milestones: task.milestones.slice(snap.milestones.length).map((m) => m.value),
+      bestStreak: task.bestStreak !== snap.bestStreak ? task.bestStreak : null,
+    },
+  };
+}
+
+// Takes back the secure `snap` records (see secureRecord). Records from before effects were kept are
+// put back as they were.
+function restoreSecureSnapshot(task, snap) {
+  const { effects, ...before } = snap;
+  if (!effects) {
+    Object.assign(task, before);
+    if (!('countedPeriodKey' in before)) task.countedPeriodKey = countedPeriodKeyFromHits(task);
+    task.securedToday = false;
+    return;
+  }
+  takeBackEffects(task, before, effects);
+  task.lastSecuredAt = before.lastSecuredAt;
+  task.lastSecuredReason = before.lastSecuredReason;
+  task.lastSecuredBy = before.lastSecuredBy;
+  task.securedToday = false;
+}
+
+// The streak, period, freeze and record changes of a secureRecord, taken back.
+function takeBackEffects(task, before, effects) {
+  task.streak = Math.max(0, task.streak - effects.streak);
+  task.periodHits = Math.max(0, task.periodHits - effects.periodHits);
+  if (effects.counted) task.countedPeriodKey = before.countedPeriodKey;
+  task.freezes = Math.max(0, task.freezes - effects.freezesEarned);
+  for (const value of effects.milestones) {
+    const i = task.milestones.findLastIndex((m) => m.value === value);
+    if (i !== -1) task.milestones.splice(i, 1);
+  }
+  if (effects.bestStreak !== null && task.bestStreak === effects.bestStreak) {
+    task.bestStreak = before.bestStreak;
+    task.bestStreakDayKey = before.bestStreakDayKey;
+  }
+}
+
+// Everything the rules carry from one day into the next, as a rollover leaves it: kept on the
+// rollovers of the last graceDays days (startState) so the days after them can be replayed (see
+// replayTaskFrom).
+function ruleState(task) {
+  return {
+    ...secureSnapshot(task),
+    hopper: task.hopper,
+    securedToday: task.securedToday,
+    periodKey: task.periodKey,
+    restDays: task.restDays.slice(),
+    lastFrozenAt: task.lastFrozenAt,
+    lastFrozenReason: task.lastFrozenReason,
+    lastFrozenDayKey: task.lastFrozenDayKey,
+    participants: task.participants.map((p) => ({ id: p.id, streak: p.streak, bestStreak: p.bestStreak, countedPeriodKey: p.countedPeriodKey })),
+  };
+}
+
+function restoreRuleState(task, state) {
+  const { participants, ...rest } = state;
+  Object.assign(task, rest, { restDays: rest.restDays.slice(), milestones: rest.milestones.slice() });
+  if (!('countedPeriodKey' in rest)) task.countedPeriodKey = countedPeriodKeyFromHits(task);
+  for (const p of task.participants) Object.assign(p, participants.find((x) => x.id === p.id));
+}
+
+// Keys the task's current day has had: its dayKey, plus the keys it carried before a clock change
+// moved it (see rebaseTaskDay). Entries under any of them were made "today".
+function currentDayKeys(task) {
+  const keys = new Set([task.dayKey]);
+  for (let i = task.ledger.length - 1; i >= 0; i--) {
+    const e = task.ledger[i];
+    if (e.type === 'rebase' && keys.has(e.dayKey)) keys.add(e.fromDayKey);
+    else if (e.type === 'rollover' || e.type === 'skip' || e.type === 'clock-adjust') break;
+  }
+  return keys;
+}
+
+// Whether a clock-settings change left the task ahead of its owner's clock (see rebaseTaskDay): it
+// then waits on its day for the clock rather than being moved back onto a day that has rolled over.
+function heldAhead(task) {
+  for (let i = task.ledger.length - 1; i >= 0; i--) {
+    const e = task.ledger[i];
+    if (e.type === 'rebase') return Boolean(e.held);
+    if (e.type === 'rollover' || e.type === 'skip' || e.type === 'clock-adjust') return false;
+  }
+  return false;
+}
+
+// The ledger entry (add/correction/edit) that secured the task's current day, if the secure
+// came from something done today rather than from the rollover. After a replay, only what the
+// replay recorded counts: the entries before it secured a day that has been recomputed since.
+function sameDaySecuringEntry(task) {
+  const today = currentDayKeys(task);
+  for (let i = task.ledger.length - 1; i >= 0; i--) {
+    const e = task.ledger[i];
+    if (!today.has(e.dayKey)) continue;
+    if (e.type === 'replay') return e.securedToday ? e : null;
+    if (e.secured && e.secureSnapshot) return e;
+  }
+  return null;
+}
+
+// Amount an add entry currently contributes, after any corrections/undos.
+function effectiveAmount(task, entry) {
+  let amount = asSafeNumber(entry.amount, 0);
+  for (const e of task.ledger) {
+    if (e.type === 'correction' && e.target === entry.id) amount += asSafeNumber(e.delta, 0);
+  }
+  return roundTo(amount);
+}
+
+// Per-participant sums of what their adds currently contribute (after corrections): today, in the
+// current period and in total. Keyed by participant id; adds from before the task became a team
+// task (or by removed participants) are not listed. throughKey leaves out adds dated after it (a
+// replay passes the day it has reached).
+function contributionTotals(task, throughKey = null) {
+  const amounts = new Map();
+  for (const e of task.ledger) {
+    if (throughKey && e.dayKey > throughKey) continue;
+    if (e.type === 'add' && e.participantId) amounts.set(e.id, { entry: e, amount: asSafeNumber(e.amount, 0) });
+    if (e.type === 'correction' && amounts.has(e.target)) amounts.get(e.target).amount += asSafeNumber(e.delta, 0);
+  }
+  const totals = new Map(task.participants.map((p) => [p.id, { today: 0, period: 0, total: 0, lastAt: null }]));
+  const today = currentDayKeys(task);
+  for (const { entry, amount } of amounts.values()) {
+    const t = totals.get(entry.participantId);
+    if (!t || roundTo(amount) <= 0) continue;
+    t.total += amount;
+    if (entry.dayKey >= task.periodKey || today.has(entry.dayKey)) t.period += amount;
+    if (today.has(entry.dayKey)) t.today += amount;
+    t.lastAt = Math.max(t.lastAt || 0, entry.at);
+  }
+  for (const t of totals.values()) {
+    t.today = roundTo(t.today);
+    t.period = roundTo(t.period);
+    t.total = roundTo(t.total);
+  }
+  return totals;
+}
+
+// A participant's streak counts periods they poured something into. It grows as soon as they
+// pour in a period and is taken back if an undo/correction leaves them with nothing in it.
+function syncParticipantStreaks(task, throughKey = null) {
+  if (!task.participants.length) return;
+  const totals = contributionTotals(task, throughKey);
+  for (const p of task.participants) {
+    const poured = totals.get(p.id).period > 0;
+    const counted = p.countedPeriodKey === task.periodKey;
+    if (poured && !counted) {
+      p.streak += 1;
+      p.countedPeriodKey = task.periodKey;
+    } else if (!poured && counted) {
+      p.streak = Math.max(0, p.streak - 1);
+      p.countedPeriodKey = null;
+    }
+  }
+}
+
+// At the end of a period that asked for something, participants who didn't pour lose their streak.
+// Returns the ids of those whose streak broke.
+function closeParticipantPeriod(task, periodKey) {
+  const required = requiredHits(task, periodKey) > 0;
+  const broken = [];
+  for (const p of task.participants) {
+    p.bestStreak = Math.max(p.bestStreak, p.streak);
+    if (required && p.countedPeriodKey !== periodKey && p.streak !== 0) {
+      p.streak = 0;
+      broken.push(p.id);
+    }
+  }
+  return broken;
+}
+
+// What a replay can recompute: what was poured, and what the rules derived from it.
+function replayableEntry(e) {
+  return ['add', 'correction', 'rollover', 'replay'].includes(e.type) || (e.type === 'freeze' && e.action === 'earned');
+}
+
+// The rollover that started `dayKey`, where a replay from that day begins: { start } or { error }
+// when the days since can't be replayed.
+function replayStart(task, dayKey) {
+  for (let i = task.ledger.length - 1; i >= 0; i--) {
+    const e = task.ledger[i];
+    if (e.type === 'rollover' && e.nextDayKey === dayKey) {
+      if (!e.startState) break;
+      const team = (list) => list.map((p) => p.id).sort().join(' ');
+      if (team(e.startState.participants) !== team(task.participants)) return { error: `The team changed after ${dayKey}` };
+      return { start: e };
+    }
+    if (!replayableEntry(e)) {
+      return { error: `The task changed after ${dayKey} (${e.type}${e.action ? ` ${e.action}` : ''}), so that day can't be replayed` };
+    }
+  }
+  return { error: `There is no record of how ${dayKey} started, so it can't be replayed` };
+}
+
+// How the last rollover of `dayKey` ended it ('secured', 'missed', ...), or null.
+function dayOutcome(task, dayKey) {
+  for (let i = task.ledger.length - 1; i >= 0; i--) {
+    const e = task.ledger[i];
+    if (e.type === 'rollover' && e.dayKey === dayKey) return e.outcome;
+  }
+  return null;
+}
+
+// The rules that need the time, new ids or raise events (see the top of this file).
+function createEngine({ now = Date.now, newId = () => crypto.randomUUID(), emit = () => {}, graceDays = 2 } = {}) {
+  let replaying = null; // the backdated add whose days are being replayed (see replayTaskFrom)
+
+  // Nothing is emitted while a replay runs: those days were reported when they happened, and
+  // addBackdated reports what the replay changed.
+  function emitEvent(task, event, data) {
+    if (!replaying) emit(task, event, data);
+  }
+
+  // The day key it is now on `clock` ({ timeZone, dayStartHour }).
+  function today(clock) {
+    return dayKeyAt(new Date(now()), clock);
+  }
+
+  // The ledger is append-only: entries are never edited or removed once written.
+  function appendLedger(task, entry) {
+    if (!Array.isArray(task.ledger)) task.ledger = [];
+    const row = { id: newId(), at: now(), ...entry };
+    task.ledger.push(row);
+    return row;
+  }
+
+  function maybeEarnFreeze(task) {
+    const { freezeEvery, freezeMax } = task.rules;
+    if (!freezeEvery || task.streak % freezeEvery !== 0 || task.freezes >= freezeMax) return;
+    task.freezes += 1;
+    appendLedger(task, {
+      type: 'freeze',
+      action: 'earned',
+      dayKey: task.dayKey,
+      streak: task.streak,
+      freezesAfter: task.freezes,
+      ...(replaying ? { replayOf: replaying.id } : {}),
+    });
+  }
+
+  // Keeps the best streak and records a milestone event when the streak reaches one. Returns the
+  // milestone reached, if any.
+  function recordStreakGrowth(task) {
+    if (task.streak > task.bestStreak) {
+      task.bestStreak = task.streak;
+      task.bestStreakDayKey = task.dayKey;
+    }
+    if (!MILESTONES.includes(task.streak)) return null;
+    const milestone = { value: task.streak, dayKey: task.dayKey, at: now() };
+    task.milestones.push(milestone);
+    return milestone;
+  }
+
+  // Grows the streak once per period, as soon as the period has the secured days it needs (rest days
+  // booked in it lower that number). Returns whether it grew and the milestone reached, if any.
+  function countPeriod(task) {
+    const required = requiredHits(task, task.periodKey);
+    if (required === 0 || task.periodHits < required || task.countedPeriodKey === task.periodKey) {
+      return { counted: false, milestone: null };
+    }
+    task.countedPeriodKey = task.periodKey;
+    task.streak = (Number.isInteger(task.streak) ? task.streak : 0) + 1;
+    maybeEarnFreeze(task);
+    return { counted: true, milestone: recordStreakGrowth(task) };
+  }
+
+  // Re-checks the current period after a rest day was booked in it. Returns whether the streak grew.
+  function settlePeriod(task) {
+    const { counted, milestone } = countPeriod(task);
+    if (milestone) emitEvent(task, 'milestone.reached', { milestone: milestone.value, dayKey: milestone.dayKey });
+    return counted;
+  }
+
+  // Spends a freeze on booking `date` (checked by the caller) as a rest day. The period needs fewer
+  // secured days now and may already have them; what counting it changed is kept on the entry
+  // (countSnapshot, see secureRecord) in case the booking is cancelled. Returns the ledger entry.
+  function bookRestDay(task, date) {
+    task.freezes -= 1;
+    task.restDays = [...task.restDays, date].sort();
+    const snap = secureSnapshot(task);
+    const periodCompleted = settlePeriod(task);
+    return appendLedger(task, {
+      type: 'freeze',
+      action: 'rest-booked',
+      dayKey: task.dayKey,
+      restDay: date,
+      freezesAfter: task.freezes,
+      periodCompleted,
+      ...(periodCompleted ? { streakAfter: task.streak, periodKey: task.periodKey, countSnapshot: secureRecord(task, snap) } : {}),
+    });
+  }
+
+  // Cancels the rest day booked on `date`, refunding its freeze. A period its booking counted is
+  // counted no more if it is short of secured days again, and today may count again (the hopper may
+  // already cover it). Returns the ledger entry.
+  function cancelRestDay(task, date) {
+    task.restDays = task.restDays.filter((d) => d !== date);
+    task.freezes = Math.min(task.rules.freezeMax, task.freezes + 1);
+    const uncounted = uncountBookedPeriod(task);
+    const snap = secureSnapshot(task);
+    const secured = trySecureToday(task, 'rest-cancelled');
+    return appendLedger(task, {
+      type: 'freeze',
+      action: 'rest-cancelled',
+      dayKey: task.dayKey,
+      restDay: date,
+      freezesAfter: task.freezes,
+      uncounted,
+      secured,
+      ...(secured ? { secureSnapshot: secureRecord(task, snap) } : {}),
+      streakAfter: task.streak,
+    });
+  }
+
+  // Takes back the count of the current period if a booked rest day gave it and the period doesn't
+  // have the secured days it needs any more. Returns whether it did.
+  function uncountBookedPeriod(task) {
+    if (task.countedPeriodKey !== task.periodKey || task.periodHits >= requiredHits(task, task.periodKey)) return false;
+    const booking = task.ledger.findLast((e) => e.type === 'freeze' && e.action === 'rest-booked' && e.periodKey === task.periodKey && e.countSnapshot);
+    if (!booking) return false;
+    const { effects, ...before } = booking.countSnapshot;
+    takeBackEffects(task, before, effects);
+    return true;
+  }
+
+  // Secures the current day (once); the streak grows if that gives the period the secured days it
+  // needs (see countPeriod). participantId credits the secure on team tasks.
+  function trySecureToday(task, reason, participantId = null) {
+    if (task.status !== 'active') return false;
+    if (task.securedToday) return false;
+    if (!isScheduledDay(task, task.dayKey)) return false;
+    if (task.hopper >= task.rules.threshold - EPS) {
+      task.securedToday = true;
+      task.periodHits += 1;
+      const { counted: periodCompleted, milestone } = countPeriod(task);
+      task.lastSecuredAt = now();
+      task.lastSecuredReason = reason;
+      task.lastSecuredBy = participantId;
+      if (reason === 'add' || reason === 'rollover') {
+        emitEvent(task, 'task.secured', { reason, dayKey: task.dayKey, participantId, periodCompleted });
+      }
+      if (milestone) emitEvent(task, 'milestone.reached', { milestone: milestone.value, dayKey: milestone.dayKey });
+      return true;
+    }
+    return false;
+  }
+
+  // Rolls the task over day by day until its current day is todayKey (a todayKey behind it is a
+  // clock that went backwards: the task is moved back without a rollover, unless it is held ahead
+  // after a clock-settings change). Returns true if anything changed.
+  function processTaskToToday(task, todayKey) {
+    let changed = false;
+
+    if (typeof task.dayKey !== 'string' || !DAY_KEY_RE.test(task.dayKey)) {
+      task.dayKey = todayKey;
+      task.securedToday = false;
+      resetPeriod(task);
+      changed = true;
+    }
+
+    // If the clock changes backwards, clamp to today to avoid huge loops.
+    if (task.dayKey > todayKey && !heldAhead(task)) {
+      appendLedger(task, { type: 'clock-adjust', dayKey: todayKey, fromDayKey: task.dayKey, securedBefore: task.securedToday });
+      task.dayKey = todayKey;
+      task.securedToday = false;
+      resetPeriod(task);
+      changed = true;
+    }
+
+    const diff = dayDiff(task.dayKey, todayKey);
+    if (diff <= 0) {
+      // same day (or held ahead), nothing to roll
+      return changed;
+    }
+
+    if (task.status !== 'active') {
+      skipTaskToToday(task, todayKey, diff);
+      return true;
+    }
+
+    for (let i = 0; i < diff; i++) rollOverDay(task);
+    return true;
+  }
+
+  // Ends the task's current day and starts the next one: the end-of-period check, decay and the
+  // auto-secure, recorded as a 'rollover' entry that keeps the state the new day started from.
+  function rollOverDay(task) {
+    const endedKey = task.dayKey;
+    const nextKey = addDaysKey(endedKey, 1);
+    const scheduled = isScheduledDay(task, endedKey);
+    const securedEndedDay = task.securedToday;
+    const streakBefore = task.streak;
+    const hopperBefore = task.hopper;
+    const periodEnded = periodStartKey(task, nextKey) !== task.periodKey;
+    const periodHits = task.periodHits;
+    const endedPeriodKey = task.periodKey;
+
+    // 1) End-of-period check: if the period didn't get enough secured days, streak breaks
+    const resting = isRestDay(task, endedKey);
+    const short = periodEnded && task.periodHits < requiredHits(task, task.periodKey) && task.streak !== 0;
+    const freezeUsed = short && task.freezes > 0;
+    const broke = short && !freezeUsed;
+    if (broke) {
+      task.streak = 0;
+      emitEvent(task, 'streak.reset', { dayKey: endedKey, periodKey: endedPeriodKey, streakBefore });
+    }
+    if (freezeUsed) {
+      task.freezes -= 1;
+      task.lastFrozenAt = now();
+      task.lastFrozenReason = 'freeze';
+      task.lastFrozenDayKey = endedKey;
+    }
+    if (resting) {
+      task.lastFrozenAt = now();
+      task.lastFrozenReason = 'rest';
+      task.lastFrozenDayKey = endedKey;
+    }
+    // Team tasks: each participant's own streak is checked against the same period
+    const participantsBroken = periodEnded ? closeParticipantPeriod(task, endedPeriodKey) : [];
+
+    // 2) Daily decay on scheduled days, per the task's rules (then capped by carryCap)
+    if (scheduled) task.hopper = decayHopper(task.hopper, task.rules);
+
+    // 3) Move to next day
+    task.dayKey = nextKey;
+    task.securedToday = false;
+    if (periodEnded) {
+      task.periodKey = periodStartKey(task, nextKey);
+      task.periodHits = 0;
+      // Rest days before the new period no longer affect anything; the ledger keeps the record.
+      task.restDays = task.restDays.filter((d) => d >= task.periodKey);
+    }
+
+    // 4) Auto-secure new day if hopper already >= threshold at rollover
+    const autoSecured = trySecureToday(task, 'rollover');
+
+    let outcome = 'secured';
+    if (!securedEndedDay) {
+      if (broke) outcome = 'broken';
+      else if (freezeUsed) outcome = 'frozen';
+      else if (resting) outcome = 'rest';
+      else if (!scheduled) outcome = 'off';
+      else outcome = 'missed';
+    }
+    appendLedger(task, {
+      type: 'rollover',
+      dayKey: endedKey,
+      nextDayKey: task.dayKey,
+      outcome,
+      scheduled,
+      periodEnded,
+      periodHits,
+      streakBroken: broke,
+      freezeUsed,
+      freezesAfter: task.freezes,
+      streakBefore,
+      streakAfter: task.streak,
+      hopperBefore,
+      hopperAfter: task.hopper,
+      autoSecured,
+      ...(participantsBroken.length ? { participantsBroken } : {}),
+      startState: ruleState(task),
+      ...(replaying ? { replayOf: replaying.id } : {}),
+    });
+    dropOldStartStates(task);
+  }
+
+  // Start states are only read by a replay, which goes back graceDays at most: older rollovers drop
+  // theirs (newest first, up to the first one dropped already).
+  function dropOldStartStates(task) {
+    for (let i = task.ledger.length - 1; i >= 0; i--) {
+      const e = task.ledger[i];
+      if (e.type !== 'rollover' || !(dayDiff(e.nextDayKey, task.dayKey) > graceDays)) continue;
+      if (!e.startState) break;
+      delete e.startState;
+    }
+  }
+
+  // Paused/archived/trashed tasks jump straight to today: no streak check, no decay. Skipped days in
+  // the period being resumed into are excused like rest days so a mid-week resume can't break the week.
+  function skipTaskToToday(task, todayKey, days) {
+    const resumePeriodKey = periodStartKey(task, todayKey);
+    const excused = [];
+    for (let key = task.dayKey; key < todayKey; key = addDaysKey(key, 1)) {
+      if (key < resumePeriodKey) continue;
+      if (key === task.dayKey && task.securedToday) continue;
+      excused.push(key);
+    }
+    if (excused.length) task.restDays = [...new Set([...task.restDays, ...excused])].sort();
+
+    appendLedger(task, { type: 'skip', dayKey: task.dayKey, toDayKey: todayKey, days, status: task.status });
+    task.dayKey = todayKey;
+    task.securedToday = false;
+    resetPeriod(task);
+  }
+
+  // Records a change of the owner's clock settings that puts the task's day behind or ahead of
+  // todayKey. Ahead of the task, the new clock has ended its day (and any after it): they roll over
+  // as usual. Behind it, the task isn't moved back (the day before has rolled over, and would count
+  // twice): it is held on its day until the new clock gets there. Returns true if anything was
+  // recorded.
+  function rebaseTaskDay(task, todayKey, reason) {
+    if (task.dayKey === todayKey) return false;
+    if (todayKey < task.dayKey) {
+      if (heldAhead(task)) return false;
+      appendLedger(task, { type: 'rebase', dayKey: task.dayKey, fromDayKey: task.dayKey, clockDayKey: todayKey, held: true, reason });
+      return true;
+    }
+    appendLedger(task, { type: 'rebase', dayKey: task.dayKey, fromDayKey: task.dayKey, clockDayKey: todayKey, reason });
+    processTaskToToday(task, todayKey);
+    return true;
+  }
+
+  // Changes what a same-day add entry contributes to `newAmount` (0 == undo). Reverses the day's
+  // secure if the hopper falls back below the threshold, or secures the day if it now reaches it.
+  function correctAddEntry(task, entry, newAmount, reason) {
+    const delta = roundTo(newAmount - effectiveAmount(task, entry));
+    if (delta === 0) return null;
+
+    const hopperBefore = task.hopper;
+    const snap = secureSnapshot(task);
+    task.hopper = Math.max(0, roundTo(task.hopper + delta));
+
+    let unsecured = false;
+    if (task.securedToday && task.hopper < task.rules.threshold - EPS) {
+      const securing = sameDaySecuringEntry(task);
+      if (securing) {
+        restoreSecureSnapshot(task, securing.secureSnapshot);
+        unsecured = true;
+      }
+    }
+    const secured = trySecureToday(task, 'correction');
+
+    return appendLedger(task, {
+      type: 'correction',
+      dayKey: task.dayKey,
+      target: entry.id,
+      reason,
+      delta,
+      amountAfter: roundTo(newAmount),
+      hopperBefore,
+      hopperAfter: task.hopper,
+      unsecured,
+      secured,
+      ...(secured ? { secureSnapshot: secureRecord(task, snap) } : {}),
+      streakAfter: task.streak,
+    });
+  }
+
+  // Applies everything the ledger has poured on the task's current day (adds and corrections, as one
+  // pour). Returns whether that secured the day and the state just before, for undo.
+  function pourRecordedDay(task) {
+    let poured = 0;
+    let by = null;
+    for (const e of task.ledger) {
+      if (e.dayKey !== task.dayKey) continue;
+      if (e.type === 'add') {
+        poured += asSafeNumber(e.amount, 0);
+        by = e.participantId || null;
+      } else if (e.type === 'correction') {
+        poured += asSafeNumber(e.delta, 0);
+      }
+    }
+    task.hopper = Math.max(0, roundTo(task.hopper + poured));
+    const snap = secureSnapshot(task);
+    const secured = trySecureToday(task, 'add', by);
+    syncParticipantStreaks(task, task.dayKey);
+    return { secured, snap };
+  }
+
+  // Recomputes the task after `entry`, a backdated add, was recorded under an earlier day: back to the
+  // state that day started with (start.startState, see replayStart), then each day up to the current
+  // one is poured from the ledger and rolled over with the usual rules. The rollovers are appended
+  // again (replayOf: entry.id), superseding the earlier ones for their day. Returns the current day's
+  // pour (see pourRecordedDay).
+  function replayTaskFrom(task, start, entry) {
+    const todayKey = task.dayKey;
+    restoreRuleState(task, start.startState);
+    task.dayKey = start.nextDayKey;
+    replaying = entry;
+    try {
+      for (;;) {
+        const poured = pourRecordedDay(task);
+        if (task.dayKey === todayKey) return poured;
+        rollOverDay(task);
+      }
+    } finally {
+      replaying = null;
+    }
+  }
+
+  // Records an add for the day `start` rolled into and replays the days since (see replayStart). The
+  // 'replay' entry after it records what changed, and can be what secured today for an undo. Webhooks
+  // report what the replay changed: the add's day getting secured, and milestones reached.
+  function addBackdated(task, start, amount, fields = {}) {
+    const { participantId = null, ...extra } = fields;
+    const dayKey = start.nextDayKey;
+    const before = { hopper: task.hopper, streak: task.streak, freezes: task.freezes };
+    const wasSecured = dayOutcome(task, dayKey) === 'secured';
+    const reached = new Set(task.milestones.map((m) => `${m.value} ${m.dayKey}`));
+    const entry = appendLedger(task, {
+      type: 'add',
+      dayKey,
+      ...(participantId ? { participantId } : {}),
+      amount,
+      backdated: true,
+      ...extra,
+    });
+    const today = replayTaskFrom(task, start, entry);
+    const secured = !wasSecured && dayOutcome(task, dayKey) === 'secured';
+    const milestones = task.milestones.filter((m) => !reached.has(`${m.value} ${m.dayKey}`));
+    const milestone = milestones.length ? milestones[milestones.length - 1].value : null;
+    appendLedger(task, {
+      type: 'replay',
+      dayKey: task.dayKey,
+      fromDayKey: dayKey,
+      cause: entry.id,
+      secured,
+      hopperBefore: before.hopper,
+      hopperAfter: task.hopper,
+      streakBefore: before.streak,
+      streakAfter: task.streak,
+      freezesBefore: before.freezes,
+      freezesAfter: task.freezes,
+      securedToday: today.secured,
+      ...(today.secured ? { secureSnapshot: secureRecord(task, today.snap) } : {}),
+      ...(milestone ? { milestone } : {}),
+    });
+
+    if (secured) {
+      emitEvent(task, 'task.secured', {
+        reason: 'backdate',
+        dayKey,
+        participantId,
+        streakBefore: before.streak,
+        streakAfter: task.streak,
+      });
+    }
+    for (const m of milestones) emitEvent(task, 'milestone.reached', { milestone: m.value, dayKey: m.dayKey });
+    return { entry, secured, milestone, dayKey };
+  }
+
+  // Pours `amount` into the task's current day. fields: participantId (team tasks) and anything else
+  // to keep on the 'add' entry (idempotencyKey, clientTime). Returns { entry, secured, milestone }.
+  function addToToday(task, amount, fields = {}) {
+    const { participantId = null, ...extra } = fields;
+    const hopperBefore = task.hopper;
+    const snap = secureSnapshot(task);
+    const milestonesBefore = task.milestones.length;
+    task.hopper = roundTo(task.hopper + amount);
+    const secured = trySecureToday(task, 'add', participantId);
+    const milestone = task.milestones.length > milestonesBefore ? task.milestones[task.milestones.length - 1].value : null;
+    const entry = appendLedger(task, {
+      type: 'add',
+      dayKey: task.dayKey,
+      ...(participantId ? { participantId } : {}),
+      amount,
+      hopperBefore,
+      hopperAfter: task.hopper,
+      secured,
+      ...(secured ? { secureSnapshot: secureRecord(task, snap) } : {}),
+      ...(milestone ? { milestone } : {}),
+      streakAfter: task.streak,
+      ...extra,
+    });
+    syncParticipantStreaks(task);
+    return { entry, secured, milestone };
+  }
+
+  // Runs a copy of `task` through `days` days, starting with its current day (day 0). Each input
+  // { day, amount, participantId?, date? } is added on day `day`, in order; date logs it for an
+  // earlier day as the add route does (throws if that day can't be replayed). Every day then rolls
+  // over by processTaskToToday. Returns the copy and, per day ended, how its (last) rollover went.
+  function simulate(task, inputs, days) {
+    const copy = structuredClone(task);
+    const firstKey = copy.dayKey;
+    const from = copy.ledger.length;
+    for (let day = 0; day < days; day++) {
+      for (const { day: on, amount, date, ...fields } of inputs) {
+        if (on !== day) continue;
+        if (date && date !== copy.dayKey) {
+          const found = replayStart(copy, date);
+          if (found.error) throw new Error(found.error);
+          addBackdated(copy, found.start, amount, fields);
+        } else {
+          addToToday(copy, amount, fields);
+        }
+      }
+      processTaskToToday(copy, addDaysKey(firstKey, day + 1));
+    }
+    const ended = new Map();
+    for (const e of copy.ledger.slice(from)) {
+      if (e.type !== 'rollover') continue;
+      ended.set(e.dayKey, { dayKey: e.dayKey, outcome: e.outcome, streak: e.streakAfter, hopper: e.hopperAfter, freezes: e.freezesAfter, autoSecured: e.autoSecured });
+    }
+    return { task: copy, days: [...ended.values()] };
+  }
+
+  return {
+    today,
+    appendLedger,
+    trySecureToday,
+    settlePeriod,
+    bookRestDay,
+    cancelRestDay,
+    processTaskToToday,
+    rollOverDay,
+    skipTaskToToday,
+    rebaseTaskDay,
+    correctAddEntry,
+    addToToday,
+    addBackdated,
+    simulate,
+  };
+}
+
+module.exports = {
+  EPS,
+  DAY_KEY_RE,
+  MILESTONES,
+  pad2,
+  isValidTimeZone,
+  dayKeyAt,
+  minutesIntoDay,
+  addDaysKey,
+  dayDiff,
+  weekdayOfKey,
+  roundTo,
+  asSafeNumber,
+  decayHopper,
+  isRestDay,
+  isScheduledDay,
+  periodStartKey,
+  requiredHits,
+  countedPeriodKeyFromHits,
+  resetPeriod,
+  secureSnapshot,
+  secureRecord,
+  restoreSecureSnapshot,
+  currentDayKeys,
+  heldAhead,
+  sameDaySecuringEntry,
+  effectiveAmount,
+  contributionTotals,
+  syncParticipantStreaks,
+  closeParticipantPeriod,
+  replayStart,
+  dayOutcome,
+  createEngine,
+};
@@ -0,0 +1,903 @@
+'use strict';
+
+/**
+ * Image handling for uploads, with no dependencies (node:zlib only).
+ *
+ *   sniffImage(buf)            the real type from the file's first bytes: PNG, JPEG, GIF or WebP
+ *                              (anything else, SVG included, is not an accepted image)
+ *   decodeImage(buf)           -> { width, height, data: RGBA bytes } or null when this module can't
+ *                              decode it: PNG (every color type, interlaced too), GIF (first frame) and
+ *                              baseline JPEG (grayscale or YCbCr, EXIF orientation applied). WebP,
+ *                              progressive/CMYK JPEG and images over MAX_DECODE_PIXELS return null.
+ *   resizeToCover(img, size)   area-averaged downscale so the shorter side is `size` (never upscaled)
+ *   encodePng(img)             -> PNG Buffer (RGB when fully opaque)
+ *   thumbnailVariants(buf, sizes)  -> Promise of { variant: PNG Buffer } for { variant: size }, made in
+ *                              a worker thread
+ *
+ * Decoding is synchronous and CPU-bound (a 12 MP JPEG takes around a second), so the server only
+ * decodes through thumbnailVariants: its worker takes one image at a time and the event loop stays
+ * free. JPEGs much larger than the requested size are decoded at 1/8 scale straight from their DC
+ * coefficients. Tests: test/images.test.js (node --test).
+ */
+
+const zlib = require('zlib');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const MAX_DECODE_PIXELS = 40_000_000;
+
+const TYPES = {
+  png: { type: 'png', mime: 'image/png', ext: '.png', exts: ['.png'] },
+  jpeg: { type: 'jpeg', mime: 'image/jpeg', ext: '.jpg', exts: ['.jpg', '.jpeg'] },
+  gif: { type: 'gif', mime: 'image/gif', ext: '.gif', exts: ['.gif'] },
+  webp: { type: 'webp', mime: 'image/webp', ext: '.webp', exts: ['.webp'] },
+};
+
+function sniffImage(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) return TYPES.png;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return TYPES.jpeg;
+  const head = buf.toString('latin1', 0, 12);
+  if (head.startsWith('GIF87a') || head.startsWith('GIF89a')) return TYPES.gif;
+  if (head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') return TYPES.webp;
+  return null;
+}
+
+// For a friendlier error message only: SVG is rejected like any other non-raster file.
+function looksLikeSvg(buf) {
+  const text = buf.toString('utf8', 0, Math.min(buf.length, 1024)).trimStart().toLowerCase();
+  return text.startsWith('<svg') || (text.startsWith('<?xml') && text.includes('<svg')) || text.startsWith('<!doctype svg');
+}
+
+function decodeImage(buf) {
+  const kind = sniffImage(buf);
+  if (!kind) return null;
+  try {
+    if (kind.type === 'png') return decodePng(buf);
+    if (kind.type === 'gif') return decodeGif(buf);
+    if (kind.type === 'jpeg') return decodeJpeg(buf);
+  } catch {
+    return null; // truncated or corrupt: treated like an unsupported variant
+  }
+  return null;
+}
+
+function checkSize(width, height) {
+  if (!(width > 0 && height > 0) || width * height > MAX_DECODE_PIXELS) throw new Error('Unsupported image size');
+}
+
+// ---------------------------------------------------------------------------------------------------
+// PNG
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // by color type
+
+function decodePng(buf) {
+  let pos = 8;
+  let header = null;
+  let palette = null;
+  let trns = null;
+  const idat = [];
+  while (pos + 8 <= buf.length) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        depth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+      checkSize(header.width, header.height);
+    } else if (type === 'PLTE') palette = data;
+    else if (type === 'tRNS') trns = data;
+    else if (type === 'IDAT') idat.push(data);
+    else if (type === 'IEND') break;
+  }
+  if (!header || !idat.length) throw new Error('Incomplete PNG');
+
+  const { width, height, depth, colorType } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(depth)) throw new Error('Unsupported PNG');
+  const bitsPerPixel = channels * depth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+
+  // { x0, y0, dx, dy, pw, ph, stride } for each pass that has pixels
+  const passes = (header.interlace
+    ? [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]]
+    : [[0, 0, 1, 1]]
+  ).map(([x0, y0, dx, dy]) => {
+    const pw = Math.ceil((width - x0) / dx);
+    const ph = Math.ceil((height - y0) / dy);
+    return { x0, y0, dx, dy, pw, ph, stride: Math.ceil((pw * bitsPerPixel) / 8) };
+  }).filter((p) => p.pw > 0 && p.ph > 0);
+  // The size the header promises caps the inflate, so a small file can't unpack to gigabytes.
+  const expected = passes.reduce((n, p) => n + p.ph * (1 + p.stride), 0);
+  const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: expected });
+  if (raw.length < expected) throw new Error('Truncated PNG');
+  const out = new Uint8Array(width * height * 4);
+
+  let offset = 0;
+  for (const { x0, y0, dx, dy, pw, ph, stride } of passes) {
+    let prev = new Uint8Array(stride);
+    for (let y = 0; y < ph; y++) {
+      const filter = raw[offset];
+      const line = Uint8Array.from(raw.subarray(offset + 1, offset + 1 + stride));
+      offset += 1 + stride;
+      unfilterPngLine(filter, line, prev, bpp);
+      for (let x = 0; x < pw; x++) {
+        pngPixel(line, x, depth, colorType, palette, trns, out, ((y0 + y * dy) * width + x0 + x * dx) * 4);
+      }
+      prev = line;
+    }
+  }
+  return { width, height, data: out };
+}
+
+function unfilterPngLine(filter, line, prev, bpp) {
+  for (let i = 0; i < line.length; i++) {
+    const a = i >= bpp ? line[i - bpp] : 0;
+    const b = prev[i];
+    const c = i >= bpp ? prev[i - bpp] : 0;
+    if (filter === 1) line[i] = (line[i] + a) & 0xff;
+    else if (filter === 2) line[i] = (line[i] + b) & 0xff;
+    else if (filter === 3) line[i] = (line[i] + ((a + b) >> 1)) & 0xff;
+    else if (filter === 4) line[i] = (line[i] + paeth(a, b, c)) & 0xff;
+  }
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+function pngPixel(line, x, depth, colorType, palette, trns, out, o) {
+  const channels = PNG_CHANNELS[colorType];
+  // sample n of this pixel at its own bit depth
+  const raw = (n) => {
+    const i = x * channels + n;
+    if (depth === 8) return line[i];
+    if (depth === 16) return (line[i * 2] << 8) | line[i * 2 + 1];
+    return (line[(i * depth) >> 3] >> (8 - depth - ((i * depth) & 7))) & ((1 << depth) - 1);
+  };
+  // ... scaled to 0..255
+  const sample = (n) => (depth === 16 ? raw(n) >> 8 : depth === 8 ? raw(n) : Math.round((raw(n) * 255) / ((1 << depth) - 1)));
+  if (colorType === 3) {
+    const i = raw(0);
+    out[o] = palette ? palette[i * 3] : 0;
+    out[o + 1] = palette ? palette[i * 3 + 1] : 0;
+    out[o + 2] = palette ? palette[i * 3 + 2] : 0;
+    out[o + 3] = trns && i < trns.length ? trns[i] : 255;
+  } else if (colorType === 0 || colorType === 4) {
+    const g = sample(0);
+    out[o] = g;
+    out[o + 1] = g;
+    out[o + 2] = g;
+    if (colorType === 4) out[o + 3] = sample(1);
+    else out[o + 3] = trns && trns.length >= 2 && raw(0) === trns.readUInt16BE(0) ? 0 : 255;
+  } else {
+    out[o] = sample(0);
+    out[o + 1] = sample(1);
+    out[o + 2] = sample(2);
+    if (colorType === 6) out[o + 3] = sample(3);
+    else {
+      const keyed = trns && trns.length >= 6 && raw(0) === trns.readUInt16BE(0) &&
+        raw(1) === trns.readUInt16BE(2) && raw(2) === trns.readUInt16BE(4);
+      out[o + 3] = keyed ? 0 : 255;
+    }
+  }
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'latin1');
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+// Each row gets the filter that leaves the smallest sum of absolute values (the usual heuristic).
+function encodePng({ width, height, data }) {
+  let opaque = true;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) {
+      opaque = false;
+      break;
+    }
+  }
+  const channels = opaque ? 3 : 4;
+  const stride = width * channels;
+  const raw = Buffer.alloc((stride + 1) * height);
+  let prev = new Uint8Array(stride);
+  const line = new Uint8Array(stride);
+  const candidate = new Uint8Array(stride);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < channels; c++) line[x * channels + c] = data[(y * width + x) * 4 + c];
+    }
+    let best = 0;
+    let bestScore = Infinity;
+    let bestLine = null;
+    for (let filter = 0; filter <= 4; filter++) {
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const a = i >= channels ? line[i - channels] : 0;
+        const b = prev[i];
+        const c = i >= channels ? prev[i - channels] : 0;
+        const predicted = filter === 0 ? 0 : filter === 1 ? a : filter === 2 ? b : filter === 3 ? (a + b) >> 1 : paeth(a, b, c);
+        const v = (line[i] - predicted) & 0xff;
+        candidate[i] = v;
+        score += v < 128 ? v : 256 - v;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        best = filter;
+        bestLine = Buffer.from(candidate);
+      }
+    }
+    const o = y * (stride + 1);
+    raw[o] = best;
+    bestLine.copy(raw, o + 1);
+    prev = Uint8Array.from(line);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = opaque ? 2 : 6;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ---------------------------------------------------------------------------------------------------
+// GIF (the first frame, composed onto the logical screen)
+
+function decodeGif(buf) {
+  const width = buf.readUInt16LE(6);
+  const height = buf.readUInt16LE(8);
+  checkSize(width, height);
+  const flags = buf[10];
+  let pos = 13;
+  let globalTable = null;
+  if (flags & 0x80) {
+    const size = 3 * (1 << ((flags & 7) + 1));
+    globalTable = buf.subarray(pos, pos + size);
+    pos += size;
+  }
+  let transparent = -1;
+  while (pos < buf.length) {
+    const block = buf[pos++];
+    if (block === 0x21) {
+      const label = buf[pos++];
+      if (label === 0xf9 && buf[pos] >= 4 && buf[pos + 1] & 1) transparent = buf[pos + 4];
+      while (buf[pos]) pos += buf[pos] + 1;
+      pos++;
+    } else if (block === 0x2c) {
+      const left = buf.readUInt16LE(pos);
+      const top = buf.readUInt16LE(pos + 2);
+      const w = buf.readUInt16LE(pos + 4);
+      const h = buf.readUInt16LE(pos + 6);
+      const imageFlags = buf[pos + 8];
+      pos += 9;
+      let table = globalTable;
+      if (imageFlags & 0x80) {
+        const size = 3 * (1 << ((imageFlags & 7) + 1));
+        table = buf.subarray(pos, pos + size);
+        pos += size;
+      }
+      if (!table) throw new Error('GIF without a color table');
+      const minCodeSize = buf[pos++];
+      const chunks = [];
+      while (buf[pos]) {
+        chunks.push(buf.subarray(pos + 1, pos + 1 + buf[pos]));
+        pos += buf[pos] + 1;
+      }
+      const indices = lzwDecode(Buffer.concat(chunks), minCodeSize, w * h);
+      const rows = imageFlags & 0x40 ? interlacedRows(h) : Array.from({ length: h }, (_, i) => i);
+      const out = new Uint8Array(width * height * 4);
+      for (let i = 0; i < rows.length; i++) {
+        const y = top + rows[i];
+        if (y >= height) continue;
+        for (let x = 0; x < w && left + x < width; x++) {
+          const index = indices[i * w + x];
+          if (index === transparent) continue;
+          const o = (y * width + left + x) * 4;
+          out[o] = table[index * 3];
+          out[o + 1] = table[index * 3 + 1];
+          out[o + 2] = table[index * 3 + 2];
+          out[o + 3] = 255;
+        }
+      }
+      return { width, height, data: out };
+    } else {
+      break;
+    }
+  }
+  throw new Error('GIF without an image');
+}
+
+function interlacedRows(h) {
+  const rows = [];
+  for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+    for (let y = start; y < h; y += step) rows.push(y);
+  }
+  return rows;
+}
+
+function lzwDecode(data, minCodeSize, pixelCount) {
+  const out = new Uint8Array(pixelCount);
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  const prefix = new Int32Array(4096);
+  const suffix = new Uint8Array(4096);
+  const first = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+  for (let i = 0; i < clear; i++) {
+    suffix[i] = i;
+    first[i] = i;
+  }
+  let codeSize = minCodeSize + 1;
+  let next = end + 1;
+  let previous = -1;
+  let bits = 0;
+  let acc = 0;
+  let n = 0;
+  for (let i = 0; i < data.length && n < pixelCount;) {
+    while (bits < codeSize && i < data.length) {
+      acc |= data[i++] << bits;
+      bits += 8;
+    }
+    if (bits < codeSize) break;
+    const code = acc & ((1 << codeSize) - 1);
+    acc >>>= codeSize;
+    bits -= codeSize;
+    if (code === clear) {
+      codeSize = minCodeSize + 1;
+      next = end + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === end) break;
+    let c = code;
+    let sp = 0;
+    if (previous === -1) {
+      out[n++] = suffix[c];
+      previous = code;
+      continue;
+    }
+    if (c >= next) {
+      stack[sp++] = first[previous];
+      c = previous;
+    }
+    while (c >= clear) {
+      stack[sp++] = suffix[c];
+      c = prefix[c];
+    }
+    stack[sp++] = c;
+    if (next < 4096) {
+      prefix[next] = previous;
+      suffix[next] = c;
+      first[next] = first[previous];
+      next++;
+      if (next === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    while (sp && n < pixelCount) out[n++] = stack[--sp];
+    previous = code;
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// JPEG (baseline, Huffman-coded)
+
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21,
+  28, 35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61,
+  54, 47, 55, 62, 63,
+];
+
+// IDCT_COS[x * 8 + u] = C(u) / 2 * cos((2x + 1) u pi / 16)
+const IDCT_COS = (() => {
+  const t = new Float64Array(64);
+  for (let x = 0; x < 8; x++) {
+    for (let u = 0; u < 8; u++) t[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+  return t;
+})();
+
+function buildHuffman(counts, symbols) {
+  // codes of each length are consecutive: keep the first code and the symbol index per length
+  const maxCode = new Int32Array(18).fill(-1);
+  const valPtr = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let len = 1; len <= 16; len++) {
+    valPtr[len] = k;
+    minCode[len] = code;
+    code += counts[len - 1];
+    k += counts[len - 1];
+    maxCode[len] = counts[len - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+  return { maxCode, valPtr, minCode, symbols };
+}
+
+function decodeJpeg(buf, { targetSize = 0 } = {}) {
+  const quant = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let orientation = 1;
+  let adobe = null;
+  let pos = 2;
+
+  while (pos < buf.length) {
+    if (buf[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+    const marker = buf[pos + 1];
+    pos += 2;
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01 || marker === 0xff) {
+      if (marker === 0xff) pos--;
+      continue;
+    }
+    if (marker === 0xd9) break;
+    const length = buf.readUInt16BE(pos);
+    const seg = buf.subarray(pos + 2, pos + length);
+    pos += length;
+
+    if (marker === 0xe1 && seg.toString('latin1', 0, 6) === 'Exif\0\0') orientation = exifOrientation(seg.subarray(6));
+    else if (marker === 0xee && seg.toString('latin1', 0, 5) === 'Adobe') adobe = seg[11];
+    else if (marker === 0xdb) {
+      for (let p = 0; p < seg.length;) {
+        const precision = seg[p] >> 4;
+        const id = seg[p] & 15;
+        const table = new Int32Array(64);
+        for (let i = 0; i < 64; i++) table[ZIGZAG[i]] = precision ? seg.readUInt16BE(p + 1 + i * 2) : seg[p + 1 + i];
+        quant[id] = table;
+        p += 1 + (precision ? 128 : 64);
+      }
+    } else if (marker === 0xc4) {
+      for (let p = 0; p < seg.length;) {
+        const tableClass = seg[p] >> 4;
+        const id = seg[p] & 15;
+        const counts = seg.subarray(p + 1, p + 17);
+        const total = counts.reduce((a, b) => a + b, 0);
+        const table = buildHuffman(counts, seg.subarray(p + 17, p + 17 + total));
+        (tableClass ? acTables : dcTables)[id] = table;
+        p += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = seg.readUInt16BE(0);
+    } else if (marker === 0xc0 || marker === 0xc1) {
+      const height = seg.readUInt16BE(1);
+      const width = seg.readUInt16BE(3);
+      checkSize(width, height);
+      const components = [];
+      for (let i = 0; i < seg[5]; i++) {
+        const o = 6 + i * 3;
+        components.push({ id: seg[o], h: seg[o + 1] >> 4, v: seg[o + 1] & 15, tq: seg[o + 2] });
+      }
+      if (components.length !== 1 && components.length !== 3) throw new Error('Unsupported JPEG color space');
+      const hMax = Math.max(...components.map((c) => c.h));
+      const vMax = Math.max(...components.map((c) => c.v));
+      const mcusX = Math.ceil(width / (8 * hMax));
+      const mcusY = Math.ceil(height / (8 * vMax));
+      // Far bigger than needed: keep only each block's average (its DC coefficient), i.e. 1/8 scale.
+      const blockSize = targetSize && Math.min(width, height) / 8 >= targetSize ? 1 : 8;
+      for (const c of components) {
+        c.blocksX = mcusX * c.h;
+        c.blocksY = mcusY * c.v;
+        c.width = Math.ceil((width * c.h) / hMax); // samples actually covered by the image
+        c.height = Math.ceil((height * c.v) / vMax);
+        c.stride = c.blocksX * blockSize;
+        c.pixels = new Uint8Array(c.stride * c.blocksY * blockSize);
+        c.pred = 0;
+      }
+      frame = { width, height, components, hMax, vMax, mcusX, mcusY, blockSize };
+    } else if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new Error('Unsupported JPEG (progressive or arithmetic coded)');
+    } else if (marker === 0xda) {
+      if (!frame) throw new Error('JPEG scan before frame');
+      const scan = [];
+      for (let i = 0; i < seg[0]; i++) {
+        const component = frame.components.find((c) => c.id === seg[1 + i * 2]);
+        if (!component) throw new Error('JPEG scan of an unknown component');
+        component.dc = dcTables[seg[2 + i * 2] >> 4];
+        component.ac = acTables[seg[2 + i * 2] & 15];
+        component.q = quant[component.tq];
+        scan.push(component);
+      }
+      pos = decodeScan(buf, pos, frame, scan, restartInterval);
+    }
+  }
+  if (!frame) throw new Error('JPEG without a frame');
+  if (frame.components.length === 3 && adobe === 0) throw new Error('Unsupported JPEG color space');
+  return orient(jpegToRgba(frame), orientation);
+}
+
+function decodeScan(buf, pos, frame, scan, restartInterval) {
+  let bitBuf = 0;
+  let bitCount = 0;
+  let eof = false;
+  const readBit = () => {
+    if (bitCount === 0) {
+      if (eof || pos >= buf.length) {
+        eof = true;
+        return 0;
+      }
+      let byte = buf[pos];
+      if (byte === 0xff) {
+        const next = buf[pos + 1];
+        if (next === 0) pos += 2;
+        else {
+          eof = true; // a marker: pad with zeros
+          return 0;
+        }
+      } else pos++;
+      bitBuf = byte;
+      bitCount = 8;
+    }
+    bitCount--;
+    return (bitBuf >> bitCount) & 1;
+  };
+  const receive = (n) => {
+    let v = 0;
+    for (let i = 0; i < n; i++) v = (v << 1) | readBit();
+    return v;
+  };
+  const extend = (v, n) => (n && v < 1 << (n - 1) ? v - (1 << n) + 1 : v);
+  const decodeHuffman = (table) => {
+    let code = 0;
+    for (let len = 1; len <= 16; len++) {
+      code = (code << 1) | readBit();
+      if (code <= table.maxCode[len]) return table.symbols[table.valPtr[len] + code - table.minCode[len]];
+    }
+    throw new Error('Bad JPEG Huffman code');
+  };
+
+  const coeffs = new Float64Array(64);
+  const tmp = new Float64Array(64);
+  const decodeBlock = (c, bx, by) => {
+    coeffs.fill(0);
+    const t = decodeHuffman(c.dc);
+    c.pred += t ? extend(receive(t), t) : 0;
+    coeffs[0] = c.pred * c.q[0];
+    for (let k = 1; k < 64;) {
+      const rs = decodeHuffman(c.ac);
+      const r = rs >> 4;
+      const s = rs & 15;
+      if (!s) {
+        if (r !== 15) break;
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      coeffs[ZIGZAG[k]] = extend(receive(s), s) * c.q[ZIGZAG[k]];
+      k++;
+    }
+    if (bx >= c.blocksX || by >= c.blocksY) return;
+    const size = frame.blockSize;
+    if (size === 1) {
+      c.pixels[by * c.stride + bx] = clamp8(coeffs[0] / 8 + 128);
+      return;
+    }
+    // separable inverse DCT: columns into tmp, then rows
+    for (let x = 0; x < 8; x++) {
+      for (let v = 0; v < 8; v++) {
+        let sum = 0;
+        for (let u = 0; u < 8; u++) sum += IDCT_COS[v * 8 + u] * coeffs[u * 8 + x];
+        tmp[v * 8 + x] = sum;
+      }
+    }
+    const base = by * 8 * c.stride + bx * 8;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        let sum = 0;
+        for (let u = 0; u < 8; u++) sum += IDCT_COS[x * 8 + u] * tmp[y * 8 + u];
+        c.pixels[base + y * c.stride + x] = clamp8(sum + 128);
+      }
+    }
+  };
+
+  const single = scan.length === 1;
+  const unitsX = single ? Math.ceil(scan[0].width / 8) : frame.mcusX;
+  const unitsY = single ? Math.ceil(scan[0].height / 8) : frame.mcusY;
+  const total = unitsX * unitsY;
+  for (const c of scan) c.pred = 0;
+  for (let n = 0; n < total; n++) {
+    if (restartInterval && n && n % restartInterval === 0) {
+      // byte-align, skip the RSTn marker and reset the DC predictions
+      bitCount = 0;
+      eof = false;
+      while (pos < buf.length && !(buf[pos] === 0xff && buf[pos + 1] >= 0xd0 && buf[pos + 1] <= 0xd7)) pos++;
+      pos += 2;
+      for (const c of scan) c.pred = 0;
+    }
+    const ux = n % unitsX;
+    const uy = Math.floor(n / unitsX);
+    if (single) decodeBlock(scan[0], ux, uy);
+    else {
+      for (const c of scan) {
+        for (let v = 0; v < c.v; v++) {
+          for (let h = 0; h < c.h; h++) decodeBlock(c, ux * c.h + h, uy * c.v + v);
+        }
+      }
+    }
+  }
+  // continue after the entropy-coded data (at the next marker)
+  while (pos < buf.length && !(buf[pos] === 0xff && buf[pos + 1] !== 0 && !(buf[pos + 1] >= 0xd0 && buf[pos + 1] <= 0xd7))) pos++;
+  return pos;
+}
+
+function clamp8(v) {
+  return v < 0 ? 0 : v > 255 ? 255 : Math.round(v);
+}
+
+function jpegToRgba(frame) {
+  const scale = 8 / frame.blockSize;
+  const width = Math.ceil(frame.width / scale);
+  const height = Math.ceil(frame.height / scale);
+  const out = new Uint8Array(width * height * 4);
+  const [y0, cb, cr] = frame.components;
+  const sampleOf = (c, x, y) => c.pixels[Math.floor((y * c.v) / frame.vMax) * c.stride + Math.floor((x * c.h) / frame.hMax)];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const l = sampleOf(y0, x, y);
+      if (!cb) {
+        out[o] = l;
+        out[o + 1] = l;
+        out[o + 2] = l;
+      } else {
+        const b = sampleOf(cb, x, y) - 128;
+        const r = sampleOf(cr, x, y) - 128;
+        out[o] = clamp8(l + 1.402 * r);
+        out[o + 1] = clamp8(l - 0.344136 * b - 0.714136 * r);
+        out[o + 2] = clamp8(l + 1.772 * b);
+      }
+      out[o + 3] = 255;
+    }
+  }
+  return { width, height, data: out };
+}
+
+// The Orientation tag (0x0112) of an Exif TIFF block; 1 when absent.
+function exifOrientation(tiff) {
+  if (tiff.length < 8) return 1;
+  const le = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) return 1;
+  const entries = u16(ifd);
+  for (let i = 0; i < entries; i++) {
+    const o = ifd + 2 + i * 12;
+    if (o + 12 > tiff.length) break;
+    if (u16(o) === 0x0112) {
+      const value = u16(o + 8);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+// Applies an Exif orientation (2-8 mirror and/or rotate) so the pixels are upright.
+function orient(img, orientation) {
+  if (orientation === 1) return img;
+  const { width: w, height: h, data } = img;
+  const swap = orientation >= 5;
+  const ow = swap ? h : w;
+  const oh = swap ? w : h;
+  const out = new Uint8Array(data.length);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let nx;
+      let ny;
+      switch (orientation) {
+        case 2: nx = w - 1 - x; ny = y; break;
+        case 3: nx = w - 1 - x; ny = h - 1 - y; break;
+        case 4: nx = x; ny = h - 1 - y; break;
+        case 5: nx = y; ny = x; break;
+        case 6: nx = h - 1 - y; ny = x; break;
+        case 7: nx = h - 1 - y; ny = w - 1 - x; break;
+        default: nx = y; ny = w - 1 - x; break; // 8
+      }
+      const i = (y * w + x) * 4;
+      const o = (ny * ow + nx) * 4;
+      out[o] = data[i];
+      out[o + 1] = data[i + 1];
+      out[o + 2] = data[i + 2];
+      out[o + 3] = data[i + 3];
+    }
+  }
+  return { width: ow, height: oh, data: out };
+}
+
+// ---------------------------------------------------------------------------------------------------
+// Resizing
+
+// Output size for a cover-style thumbnail: the shorter side becomes `size` (never upscaled) and the
+// longer side is capped at 4 * size.
+function coverSize(width, height, size) {
+  const scale = Math.min(1, size / Math.min(width, height), (4 * size) / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+// Weights of the source pixels covering each output pixel when `from` pixels shrink to `to`.
+function areaWeights(from, to) {
+  const ratio = from / to;
+  const spans = [];
+  for (let i = 0; i < to; i++) {
+    const start = i * ratio;
+    const end = start + ratio;
+    const taps = [];
+    for (let s = Math.floor(start); s < Math.min(from, Math.ceil(end)); s++) {
+      const w = Math.min(end, s + 1) - Math.max(start, s);
+      if (w > 0) taps.push([s, w / ratio]);
+    }
+    spans.push(taps);
+  }
+  return spans;
+}
+
+// Area-averaged resize (alpha-weighted, so transparent pixels don't darken edges).
+function resizeToCover(img, size) {
+  const target = coverSize(img.width, img.height, size);
+  if (target.width === img.width && target.height === img.height) return img;
+  const { width: sw, height: sh, data } = img;
+  const { width: tw, height: th } = target;
+  const xs = areaWeights(sw, tw);
+  const ys = areaWeights(sh, th);
+
+  // horizontal pass into premultiplied floats
+  const mid = new Float64Array(tw * sh * 4);
+  for (let y = 0; y < sh; y++) {
+    for (let x = 0; x < tw; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (const [s, w] of xs[x]) {
+        const i = (y * sw + s) * 4;
+        const wa = (w * data[i + 3]) / 255;
+        r += data[i] * wa;
+        g += data[i + 1] * wa;
+        b += data[i + 2] * wa;
+        a += wa;
+      }
+      const o = (y * tw + x) * 4;
+      mid[o] = r;
+      mid[o + 1] = g;
+      mid[o + 2] = b;
+      mid[o + 3] = a;
+    }
+  }
+  const out = new Uint8Array(tw * th * 4);
+  for (let y = 0; y < th; y++) {
+    for (let x = 0; x < tw; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (const [s, w] of ys[y]) {
+        const i = (s * tw + x) * 4;
+        r += mid[i] * w;
+        g += mid[i + 1] * w;
+        b += mid[i + 2] * w;
+        a += mid[i + 3] * w;
+      }
+      const o = (y * tw + x) * 4;
+      if (a > 0) {
+        out[o] = clamp8(r / a);
+        out[o + 1] = clamp8(g / a);
+        out[o + 2] = clamp8(b / a);
+      }
+      out[o + 3] = clamp8(a * 255);
+    }
+  }
+  return { width: tw, height: th, data: out };
+}
+
+// Decodes `buf` just well enough for a `size` thumbnail (see decodeJpeg's 1/8 scale) and returns
+// the resized image, or null when it can't be decoded here.
+function thumbnailImage(buf, size) {
+  const kind = sniffImage(buf);
+  if (!kind) return null;
+  let img;
+  try {
+    img = kind.type === 'jpeg' ? decodeJpeg(buf, { targetSize: size }) : decodeImage(buf);
+  } catch {
+    img = null;
+  }
+  return img ? resizeToCover(img, size) : null;
+}
+
+// Decoded once at the largest size; the smaller variants are scaled down from that.
+function encodeVariants(buf, sizes) {
+  const largest = thumbnailImage(buf, Math.max(...Object.values(sizes)));
+  if (!largest) return {};
+  const variants = {};
+  for (const [variant, size] of Object.entries(sizes)) variants[variant] = encodePng(resizeToCover(largest, size));
+  return variants;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// The worker thread
+
+let worker = null;
+let nextJobId = 0;
+const jobs = new Map(); // id -> { resolve, reject }
+
+// A worker that dies (its heap is capped, so a hostile image kills it rather than the server) fails
+// the jobs it had; the next call starts a new one. An idle worker doesn't keep the process alive.
+function startWorker() {
+  const w = new Worker(__filename, { workerData: { role: 'thumbnails' }, resourceLimits: { maxOldGenerationSizeMb: 256 } });
+  const failAll = (err) => {
+    if (worker === w) worker = null;
+    for (const job of jobs.values()) job.reject(err);
+    jobs.clear();
+  };
+  w.on('message', ({ id, variants, error }) => {
+    const job = jobs.get(id);
+    jobs.delete(id);
+    if (!jobs.size) w.unref();
+    if (!job) return;
+    if (error) job.reject(new Error(error));
+    else job.resolve(Object.fromEntries(Object.entries(variants).map(([k, v]) => [k, Buffer.from(v.buffer, v.byteOffset, v.byteLength)])));
+  });
+  w.on('error', failAll);
+  w.on('exit', (code) => failAll(new Error(`The thumbnail worker stopped (exit code ${code})`)));
+  return w;
+}
+
+function thumbnailVariants(buf, sizes) {
+  if (!worker) worker = startWorker();
+  const id = ++nextJobId;
+  worker.ref();
+  worker.postMessage({ id, data: buf, sizes });
+  return new Promise((resolve, reject) => jobs.set(id, { resolve, reject }));
+}
+
+if (!isMainThread && workerData && workerData.role === 'thumbnails') {
+  parentPort.on('message', ({ id, data, sizes }) => {
+    try {
+      parentPort.postMessage({ id, variants: encodeVariants(Buffer.from(data.buffer, data.byteOffset, data.byteLength), sizes) });
+    } catch (err) {
+      parentPort.postMessage({ id, error: err.message || String(err) });
+    }
+  });
+}
+
+module.exports = { sniffImage, looksLikeSvg, decodeImage, resizeToCover, encodePng, thumbnailImage, thumbnailVariants };
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Schema migrations for the state document (data.json and the other storage backends).
+ *
+ * Every stored state carries a `version`. On load, migrate() runs each step newer than that version
+ * in order, on a copy, and stamps the new version; server.js snapshots the state as it was before
+ * (reason "pre-migration") and only then normalizes it. Steps are forward-only and must:
+ *   - take the raw document of the previous version (nothing is normalized yet, so check types),
+ *   - leave every field they don't know about where it is, so data written by other builds survives,
+ *   - be frozen once released: a later schema change is a new step, never an edit of an old one.
+ *
+ * A state with a version above CURRENT_VERSION was written by a newer build; migrate() refuses it
+ * (code 'ESTATENEWER') rather than let this build drop what it doesn't understand.
+ * Tests: test/migrations.test.js (node --test).
+ */
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'accounts: the version 1 task list and background wait in `legacy` for the first account',
+    up(state) {
+      const { tasks, backgroundUrl, ...rest } = state;
+      const keep = Array.isArray(tasks) && tasks.length > 0;
+      return {
+        ...rest,
+        users: Array.isArray(rest.users) ? rest.users : [],
+        sessions: Array.isArray(rest.sessions) ? rest.sessions : [],
+        legacy: (keep || backgroundUrl) ? { tasks: Array.isArray(tasks) ? tasks : [], backgroundUrl: backgroundUrl || null } : null,
+      };
+    },
+  },
+  {
+    version: 3,
+    description: 'best streaks and milestones: recovered from the streaks recorded in each task ledger',
+    up(state) {
+      const owners = [...(Array.isArray(state.users) ? state.users : []), ...(state.legacy ? [state.legacy] : [])];
+      for (const owner of owners) {
+        if (!owner || !Array.isArray(owner.tasks)) continue;
+        owner.tasks = owner.tasks.map((task) => (task && typeof task === 'object' ? backfillBestStreak(task) : task));
+      }
+      return state;
+    },
+  },
+];
+
+const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Milestones as they were defined when version 3 was introduced.
+const V3_MILESTONES = [7, 30, 100, 365];
+
+function backfillBestStreak(task) {
+  const ledger = Array.isArray(task.ledger) ? task.ledger : [];
+  let best = Math.max(0, Number.isInteger(task.bestStreak) ? task.bestStreak : 0, Number.isInteger(task.streak) ? task.streak : 0);
+  let bestDayKey = typeof task.bestStreakDayKey === 'string' ? task.bestStreakDayKey : null;
+  const milestones = [];
+  let previous = 0;
+  for (const e of ledger) {
+    if (!e || !Number.isInteger(e.streakAfter)) continue;
+    const streak = e.streakAfter;
+    if (streak > best) {
+      best = streak;
+      bestDayKey = e.dayKey || bestDayKey;
+    }
+    if (streak > previous && V3_MILESTONES.includes(streak)) {
+      milestones.push({ value: streak, dayKey: e.dayKey, at: Number.isFinite(e.at) ? e.at : null });
+    }
+    previous = streak;
+  }
+  return {
+    ...task,
+    bestStreak: best,
+    bestStreakDayKey: bestDayKey,
+    milestones: Array.isArray(task.milestones) && task.milestones.length ? task.milestones : milestones,
+  };
+}
+
+// raw: the stored document (any version, or null). Returns { state, from, to, applied } where
+// `applied` lists the versions migrated through; `raw` itself is never modified.
+function migrate(raw) {
+  if (raw === null || raw === undefined) return { state: null, from: null, to: CURRENT_VERSION, applied: [] };
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('State must be a JSON object');
+  const from = Number.isInteger(raw.version) && raw.version >= 1 ? raw.version : 1;
+  if (from > CURRENT_VERSION) {
+    const err = new Error(`State was written by a newer version (state version ${from}; this build understands up to ${CURRENT_VERSION})`);
+    err.code = 'ESTATENEWER';
+    throw err;
+  }
+
+  let state = structuredClone(raw);
+  const applied = [];
+  for (const step of MIGRATIONS) {
+    if (step.version <= from) continue;
+    state = { ...step.up(state), version: step.version };
+    applied.push(step.version);
+  }
+  return { state, from, to: CURRENT_VERSION, applied };
+}
+
+module.exports = { MIGRATIONS, CURRENT_VERSION, migrate };
@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Streaming multipart/form-data parser, with no dependencies. File parts are written to a directory
+ * as they arrive, so an upload is never held in memory; text fields are kept (up to maxFieldBytes
+ * each) and the whole body is capped by maxBytes. A delimiter split across chunks is held back until
+ * the next chunk shows whether it is one.
+ * Tests: test/images.test.js (node --test).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+function parsePartHeaders(rawHeaders) {
+  const headers = {};
+  const lines = rawHeaders.split('\r\n');
+  for (const line of lines) {
+    const idx = line.indexOf(':');
+    if (idx === -1) continue;
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+    headers[key] = value;
+  }
+  return headers;
+}
+
+// options: { dir, maxBytes, maxFieldBytes, maxHeaderBytes }.
+// Returns { fields, files: { name: { originalName, mime, path, size } } }. The temp files are removed
+// once `res` is closed, so a handler keeps a file by moving it away first.
+async function readMultipart(req, res, { dir, maxBytes, maxFieldBytes, maxHeaderBytes }) {
+  const contentType = String(req.headers['content-type'] || '');
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!m) throw new Error('Missing multipart boundary');
+  const boundaryStr = (m[1] || m[2]).trim();
+  if (!boundaryStr) throw new Error('Invalid multipart boundary');
+
+  // Every boundary but the first follows a CRLF; the body is read as if it started with one.
+  const delimiter = Buffer.from(`\r\n--${boundaryStr}`);
+  const fields = {};
+  const files = {};
+  const tempPaths = [];
+  const cleanup = () => Promise.all(tempPaths.map((p) => fsp.unlink(p).catch(() => {})));
+  res.once('close', cleanup);
+
+  await new Promise((resolve, reject) => {
+    let buf = Buffer.from('\r\n');
+    let state = 'preamble'; // preamble | boundary | headers | body | done
+    let part = null; // { name, size, chunks } for a field, { name, size, file, stream } for a file
+    let total = 0;
+    let failed = false;
+    const writes = [];
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      if (part && part.stream) part.stream.destroy();
+      reject(err);
+    };
+
+    const startPart = (headers) => {
+      const disp = headers['content-disposition'] || '';
+      const nameMatch = /(?:^|;)\s*name="([^"]*)"/i.exec(disp);
+      const filenameMatch = /(?:^|;)\s*filename="([^"]*)"/i.exec(disp);
+      part = { name: nameMatch ? nameMatch[1] : '', size: 0, chunks: [] };
+      if (!part.name || !filenameMatch || filenameMatch[1] === '') return;
+      const tempPath = path.join(dir, crypto.randomUUID());
+      tempPaths.push(tempPath);
+      part.file = { originalName: path.basename(filenameMatch[1]), mime: headers['content-type'] || 'application/octet-stream', path: tempPath, size: 0 };
+      part.stream = fs.createWriteStream(tempPath, { flags: 'wx' });
+      part.stream.on('error', fail);
+      part.stream.on('drain', () => req.resume());
+      writes.push(new Promise((done) => part.stream.once('close', done)));
+    };
+
+    const writePart = (data) => {
+      if (!data.length || !part.name) return;
+      part.size += data.length;
+      if (part.stream) {
+        // backpressure: stop reading the request until the file has caught up
+        if (!part.stream.write(data)) req.pause();
+      } else {
+        if (part.size > maxFieldBytes) throw new Error(`Field too large: ${part.name}`);
+        part.chunks.push(data);
+      }
+    };
+
+    const endPart = () => {
+      if (!part.name) return;
+      if (part.stream) {
+        // an ending stream doesn't emit 'drain', so a request paused for it resumes once it's flushed
+        if (part.stream.writableNeedDrain) part.stream.once('finish', () => req.resume());
+        part.stream.end();
+        files[part.name] = { ...part.file, size: part.size };
+      } else {
+        fields[part.name] = Buffer.concat(part.chunks).toString('utf8');
+      }
+    };
+
+    const parse = () => {
+      for (;;) {
+        if (state === 'preamble' || state === 'body') {
+          const idx = buf.indexOf(delimiter);
+          if (idx === -1) {
+            // hold back what could be the start of a delimiter split across chunks
+            const keep = Math.min(buf.length, delimiter.length - 1);
+            if (state === 'body') writePart(buf.subarray(0, buf.length - keep));
+            buf = buf.subarray(buf.length - keep);
+            return;
+          }
+          if (state === 'body') {
+            writePart(buf.subarray(0, idx));
+            endPart();
+          }
+          buf = buf.subarray(idx + delimiter.length);
+          state = 'boundary';
+        } else if (state === 'boundary') {
+          if (buf.length < 2) return;
+          if (buf[0] === 0x2d && buf[1] === 0x2d) { // "--": the close delimiter, the rest is epilogue
+            state = 'done';
+            return;
+          }
+          const eol = buf.indexOf('\r\n');
+          if (eol === -1) {
+            if (buf.length > 256) throw new Error('Malformed multipart body');
+            return;
+          }
+          buf = buf.subarray(eol); // keep the CRLF so a part without headers still ends in CRLF CRLF
+          state = 'headers';
+        } else if (state === 'headers') {
+          const end = buf.indexOf('\r\n\r\n');
+          if (end === -1) {
+            if (buf.length > maxHeaderBytes) throw new Error('Multipart part headers too large');
+            return;
+          }
+          startPart(parsePartHeaders(buf.toString('utf8', 2, end)));
+          buf = buf.subarray(end + 4);
+          state = 'body';
+        } else {
+          return;
+        }
+      }
+    };
+
+    req.on('data', (chunk) => {
+      if (failed) return;
+      total += chunk.length;
+      if (total > maxBytes) {
+        fail(new Error(`Request body too large (>${maxBytes} bytes)`));
+        req.destroy();
+        return;
+      }
+      buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+      try {
+        parse();
+      } catch (err) {
+        fail(err);
+      }
+    });
+    req.on('end', () => {
+      if (failed) return;
+      if (state !== 'done') {
+        fail(new Error('Malformed multipart body'));
+        return;
+      }
+      Promise.all(writes).then(resolve, fail);
+    });
+    req.on('error', fail);
+  });
+
+  return { fields, files };
+}
+
+module.exports = { readMultipart };
@@ -7,25 +7,128 @@
  *
  * Start:
  *   node server.js
+ *   STORAGE=journal node server.js     (or STORAGE=sqlite on Node.js 22.5+; see storage.js)
+ *   node server.js migrate-storage <json|journal|sqlite> [--from <backend>] [--force]
+ *   REMINDER_WEBHOOK_URL=http://localhost:4000/hook node server.js   (also POST reminders there)
+ *   VAPID_SUBJECT=mailto:you@example.com node server.js   (how push services can reach the admin)
  *
  * Open:
  *   http://localhost:3000
+ *   On first visit you create the admin account; if data.json predates accounts, that account
+ *   takes over the existing tasks and background. Admins create further accounts in the UI.
  *
  * What it does:
- * - Create daily tasks (optionally with a thumbnail image)
- * - Each task has a "hopper" (a number where 1.0 == 100%)
+ * - Create tasks (optionally with a thumbnail image) on a schedule:
+ *     daily      every day counts
+ *     weekdays   only the chosen weekdays count (e.g. gym Mon/Wed/Fri)
+ *     weekly     must be secured N times per week (calendar week from Monday, or rolling
+ *                7-day periods counted from when the schedule was set); streak counts weeks
+ *   Days that don't count neither break the streak nor decay the hopper.
+ * - Each task has a "hopper" and its own rules: a daily target (threshold, default 1.0 == 100%),
+ *   a decay mode and an optional cap on what carries over
  * - Add any amount to the hopper (0.1, 1.0, 5.7, etc)
- * - Once per day, when the hopper reaches >= 1.0, the streak increments
- * - At midnight rollover:
- *     - If the day was never secured (never reached >= 1.0), streak resets to 0
- *     - Hopper decays by 10% (multiplied by 0.9) — matches the sketch
- *     - If hopper is still >= 1.0 at rollover, the NEW day auto-secures (\"1.0 rollover\")
+ * - Once per scheduled day, when the hopper reaches the threshold, the day is secured; the streak
+ *   increments when the period (day, or week for weekly tasks) has enough secured days
+ * - Days follow a clock: an IANA timezone and the hour the day starts at (e.g. 04:00, so late-night
+ *   work still counts for the previous day). The admin sets the instance defaults and every account
+ *   can override them. A change that puts a task's day in the past rolls it over to the new today as
+ *   usual; a task the new clock is behind stays on its day (the day before has rolled over already,
+ *   and can't count twice) until the clock gets there
+ * - At midnight rollover (midnight == the day-start hour on the task owner's clock):
+ *     - If a period ends without enough secured days, streak resets to 0 — unless a freeze is held,
+ *       in which case one freeze is consumed and the streak survives
+ *     - On scheduled days the hopper decays according to the task's decay mode:
+ *         multiply            hopper * decayValue (e.g. 0.9 == deduct 10%)
+ *         subtract-fixed      hopper - decayValue
+ *         subtract-threshold  hopper - threshold (the default: a day's target is used up)
+ *         none                no decay
+ *     - Hopper is clamped to carryCap (if set)
+ *     - If hopper is still >= threshold at rollover, the NEW day auto-secures (\"1.0 rollover\")
+ *   These rules live in engine.js, apart from HTTP and storage: its clock is injected, and
+ *   simulate() runs a task through any number of days (tests: test/engine.test.js)
+ * - Freezes: one is earned every `freezeEvery` streak periods (default 7, held up to `freezeMax`, default 2)
+ *   and can also be spent ahead of time to book a planned rest day, which counts as a day off
+ * - Tasks can be paused (rollover skipped: the streak neither grows nor breaks, and the paused
+ *   days are excused for the period they resume in), archived (hidden, restorable with full
+ *   history) or deleted to the trash, which is purged after TRASH_RETENTION_DAYS
+ * - Team tasks: a task with participants is poured into by all of them. Every add is attributed to
+ *   a participant (accounts linked to a participant see the task and log as themselves), and each
+ *   participant keeps their own streak of periods they poured into (GET /api/tasks/:id/leaderboard)
+ * - Reminders: each task can have reminder times (HH:MM on its owner's clock). When one passes and
+ *   the task is still unsecured on a scheduled day, the owner and linked team members get a browser
+ *   notification through Web Push (webpush.js, VAPID keys generated on first start and kept through
+ *   snapshot restores; pages subscribe via the service worker sw.js) and, if REMINDER_WEBHOOK_URL is
+ *   set, a JSON POST to that URL (e.g. a local chat bot). Each is sent once, across restarts too.
+ *   POST /api/reminders/test sends one right away (tests: test/webpush.test.js)
+ * - Webhooks: every account can register URLs (/api/webhooks) that get a JSON POST when one of its
+ *   tasks is secured by an add or at rollover (task.secured), loses its streak at rollover
+ *   (streak.reset) or reaches a milestone (milestone.reached), filtered per webhook. Each request
+ *   carries X-Streaks-Event, X-Streaks-Delivery (the payload id, for de-duplicating) and
+ *   X-Streaks-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the
+ *   webhook's secret>. Anything but a 2xx is retried after 30s, 2m, 10m, 1h and 6h; the last
+ *   WEBHOOK_LOG_LIMIT deliveries and their attempts (status codes, not response bodies) are kept
+ *   (GET /api/webhooks/:id/deliveries). Delivery is webhooks.js (tests: test/webhooks.test.js)
+ * - Scripts: API tokens (/api/tokens, created from a signed-in session) are sent as
+ *   "Authorization: Bearer <token>" and carry one scope: read (any GET), log (adding to and undoing
+ *   on tasks) or admin (everything the account can do, except managing tokens and the password).
+ *   Every task also has a stable slug (from its name when created, unique per account, editable)
+ *   that works wherever a task id does, e.g. POST /api/tasks/job-applications/add. An add sent with
+ *   an Idempotency-Key header is applied once: the same account repeating the key on that task within
+ *   24 hours gets the original result (Idempotent-Replayed: true, and undone: true if the add has
+ *   been undone since) instead of adding again (tests: test/api.test.js)
  * - Upload a page background image
+ * - Uploads: multipart bodies are streamed to disk (never buffered whole) and an image is accepted by
+ *   its first bytes, not the Content-Type it was sent with: PNG, JPEG, GIF and WebP only (SVG can
+ *   carry script, so it's refused). Each thumbnail also gets small PNG variants for the task grid
+ *   (THUMBNAIL_VARIANTS, resized by images.js in a worker thread) wherever it can be decoded, and
+ *   /uploads/ responses are sandboxed by a Content-Security-Policy. The multipart parser is
+ *   multipart.js
+ * - Media: GET /api/media lists an account's images with their size and what uses them; any of them can
+ *   be reused as a thumbnail or the background without uploading it again (one file, linked twice; it
+ *   goes once nothing links to it). Files nothing links to (not even a snapshot) are removed on every
+ *   start, and by admins on demand (POST /api/admin/media/gc)
+ * - Installable (manifest.webmanifest) and usable offline: the service worker sw.js keeps the page and
+ *   the last state it loaded, and adds made offline wait in the page's outbox until the server is
+ *   reachable. They are sent with an Idempotency-Key and the time they were made (clientTime), so they
+ *   count once, and for the day they were made on (see Backdating)
+ * - Live updates: GET /api/events is a Server-Sent Events stream that pushes changed tasks, removed
+ *   tasks, background changes and the day rolling over, so every open tab stays in sync
+ * - Accounts: every user has their own tasks and background. Passwords are hashed with scrypt,
+ *   sessions are random tokens in an HttpOnly cookie (only their hash is stored), and every
+ *   /api/* route and every /uploads/* file is scoped to the signed-in user
+ * - Every add and every rollover is appended to a per-task ledger (GET /api/tasks/:id/history)
+ * - Today's adds can be undone or corrected; the correction is appended to the ledger and a
+ *   same-day secure is reversed if the hopper falls back below the threshold
+ * - Backdating: an add can be dated up to BACKDATE_GRACE_DAYS days back (an offline add whose
+ *   clientTime falls in that window is too). Every rollover records the state the next day started
+ *   from (kept for BACKDATE_GRACE_DAYS days), so the days since are replayed from there with the usual rules: hopper carryover, decay,
+ *   freezes and the streak come out as if the add had been on time, and a late entry can save a
+ *   streak. Days that had rule, schedule, status, freeze, team or clock changes since can't be replayed
+ * - Daily totals derived from the ledger feed the calendar heatmap (GET /api/calendar)
+ * - Every task keeps its best streak (a reset never loses it) and records milestone events when the
+ *   streak reaches 7, 30, 100 and 365; secured/missed days, completion rate and poured volume are
+ *   derived from the ledger (GET /api/stats, GET /api/tasks/:id/stats)
+ * - Backups: GET /api/export downloads a single JSON bundle of the account's tasks and background
+ *   (admins: ?scope=instance for every account) with the uploads they reference embedded.
+ *   POST /api/import?mode=merge|replace restores one; clashing task ids and upload names are remapped
+ *   (tests: test/backups.test.js)
+ * - Snapshots: every save keeps a timestamped JSON copy of the state in ./snapshots/ at most once an hour,
+ *   rotated down to one per hour for SNAPSHOT_HOURLY hours and one per day for SNAPSHOT_DAILY days.
+ *   Admins can list them, take one and restore one; a restore or a replacing import snapshots the
+ *   state it replaces first (tests: test/backups.test.js).
+ *   Stored data that fails to parse is never overwritten: it is moved to ./snapshots/quarantine/ and
+ *   the newest snapshot is loaded instead
+ * - The stored state is versioned: older documents are upgraded on load by the migration chain in
+ *   migrations.js (after a "pre-migration" snapshot), fields this build doesn't know are kept, and a
+ *   document from a newer build is refused. Tests: node --test
  *
  * Data:
- *   ./data.json (auto-created)
+ *   ./data.json (auto-created): accounts, sessions and each account's tasks
+ *   (./data.journal or ./data.sqlite with the journal and sqlite backends; ./data.lock while running)
  * Uploads:
  *   ./uploads/  (auto-created)
+ * Snapshots:
+ *   ./snapshots/  (auto-created)
  */
 
 const http = require('http');
@@ -33,25 +136,129 @@ const fs = require('fs');
 const fsp = require('fs/promises');
 const path = require('path');
 const crypto = require('crypto');
+const { BACKENDS, createStorage, acquireLock } = require('./storage');
+const { CURRENT_VERSION, migrate } = require('./migrations');
+const webpush = require('./webpush');
+const { queueWebhookDelivery, isWebhookInFlight, attemptWebhookDelivery } = require('./webhooks');
+const images = require('./images');
+const multipart = require('./multipart');
+const {
+  DAY_KEY_RE,
+  MILESTONES,
+  pad2,
+  isValidTimeZone,
+  dayKeyAt,
+  minutesIntoDay,
+  addDaysKey,
+  dayDiff,
+  roundTo,
+  asSafeNumber,
+  isRestDay,
+  isScheduledDay,
+  periodStartKey,
+  requiredHits,
+  countedPeriodKeyFromHits,
+  resetPeriod,
+  secureSnapshot,
+  secureRecord,
+  currentDayKeys,
+  effectiveAmount,
+  contributionTotals,
+  syncParticipantStreaks,
+  replayStart,
+  createEngine,
+} = require('./engine');
 
 const PORT = Number(process.env.PORT || 3003);
 
 const ROOT_DIR = __dirname;
 const INDEX_HTML_PATH = path.join(ROOT_DIR, 'index.html');
-const DATA_PATH = path.join(ROOT_DIR, 'data.json');
+const SW_JS_PATH = path.join(ROOT_DIR, 'sw.js');
+const APP_FILES = ['/manifest.webmanifest', '/icon-192.png', '/icon-512.png']; // what makes it installable
+const STORAGE_BACKEND = process.env.STORAGE || 'json';
 const UPLOAD_DIR = path.join(ROOT_DIR, 'uploads');
-
-const DAILY_THRESHOLD = 1.0;        // 1.0 == 100%
-const DAILY_DECAY_MULTIPLIER = 0.9; // 0.9 == deduct 10% each day at midnight rollover
-const EPS = 1e-9;
+const INCOMING_DIR = path.join(UPLOAD_DIR, '.incoming'); // multipart file parts while they arrive
+const SNAPSHOT_DIR = path.join(ROOT_DIR, 'snapshots');
+const QUARANTINE_DIR = path.join(SNAPSHOT_DIR, 'quarantine');
+
+const DEFAULT_THRESHOLD = 1.0;        // 1.0 == 100%
+const DEFAULT_DECAY_MULTIPLIER = 0.9; // 'multiply' mode: 0.9 == deduct 10% each day at midnight rollover
+const DEFAULT_DECAY_AMOUNT = 1.0;     // 'subtract-fixed' mode: deducted each day at midnight rollover
+const DECAY_MODES = ['multiply', 'subtract-fixed', 'subtract-threshold', 'none'];
+const DEFAULT_RULES = {
+  threshold: DEFAULT_THRESHOLD,
+  decayMode: 'subtract-threshold',
+  decayValue: null,
+  carryCap: null,
+  freezeEvery: 7,
+  freezeMax: 2,
+};
+const MAX_FREEZES = 10;
+const REST_DAY_HORIZON_DAYS = 90;
+const MAX_AMOUNT = 1_000_000;
+const SCHEDULE_TYPES = ['daily', 'weekdays', 'weekly'];
+const WEEK_WINDOWS = ['calendar', 'rolling'];
+const LEDGER_TYPES = new Set(['add', 'correction', 'rollover', 'skip', 'clock-adjust', 'rebase', 'freeze', 'edit', 'status', 'replay']);
+const MAX_UNDO = 20;
+const TASK_STATUSES = ['active', 'paused', 'archived', 'trashed'];
+const MAX_PARTICIPANTS = 50;
+const TRASH_RETENTION_DAYS = 30;
+// action -> statuses it applies to, and the resulting status (null: back to the status before trashing)
+const STATUS_ACTIONS = {
+  pause: { from: ['active'], to: 'paused' },
+  resume: { from: ['paused'], to: 'active' },
+  archive: { from: ['active', 'paused'], to: 'archived' },
+  restore: { from: ['archived', 'trashed'], to: null },
+};
+const CALENDAR_DEFAULT_DAYS = 365;
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const STATE_VERSION = CURRENT_VERSION; // see migrations.js
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_MS = 30 * 86400000;
+const USERNAME_RE = /^[a-z0-9_.-]{1,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEYLEN = 64;
 const MAX_JSON_BYTES = 256 * 1024;
 const MAX_MULTIPART_BYTES = 15 * 1024 * 1024;
+const MAX_MULTIPART_FIELD_BYTES = 64 * 1024; // per text field; file parts only count towards the total
+const MAX_MULTIPART_HEADER_BYTES = 8 * 1024;
+// Task thumbnails are also stored as PNGs whose shorter side is this many pixels (cards show 72 CSS px).
+const THUMBNAIL_VARIANTS = { sm: 144, md: 360 };
+// Unlinked uploads younger than this are left alone by the collector: a request may be about to link one.
+const UPLOAD_GC_MIN_AGE_MS = 3600000;
+const MAX_IMPORT_BYTES = 100 * 1024 * 1024;
+const EXPORT_FORMAT = 'streaks-overload-export';
+const EXPORT_SCOPES = ['account', 'instance'];
+const IMPORT_MODES = ['merge', 'replace'];
+const UPLOAD_NAME_RE = /^[A-Za-z0-9._-]+$/;
+const SNAPSHOT_INTERVAL_MS = 3600000;
+const SNAPSHOT_HOURLY = Number(process.env.SNAPSHOT_HOURLY || 24); // hours with one snapshot each
+const SNAPSHOT_DAILY = Number(process.env.SNAPSHOT_DAILY || 30);   // days with one snapshot each
+const SNAPSHOT_REASONS = ['auto', 'manual', 'pre-restore', 'pre-import', 'pre-migration'];
+const MAX_REMINDERS = 5;
+const MAX_PUSH_SUBSCRIPTIONS = 10;
+const REMINDER_TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const REMINDER_GRACE_MS = 10 * 60000; // a reminder missed by longer than this (server down) is skipped
+const REMINDER_WEBHOOK_URL = process.env.REMINDER_WEBHOOK_URL || null;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:streaks@localhost';
+const WEBHOOK_EVENTS = ['task.secured', 'streak.reset', 'milestone.reached'];
+const MAX_WEBHOOKS = 10;
+const WEBHOOK_LOG_LIMIT = 50; // deliveries kept per webhook, oldest dropped first
+const API_TOKEN_SCOPES = ['read', 'log', 'admin'];
+const API_TOKEN_PREFIX = 'sot_';
+const MAX_API_TOKENS = 20;
+const IDEMPOTENCY_TTL_MS = 24 * 3600000;
+const IDEMPOTENCY_KEY_RE = /^[\x21-\x7e]{1,200}$/;
+const BACKDATE_GRACE_DAYS = Number(process.env.BACKDATE_GRACE_DAYS || 2); // how far back an add may be dated
+const SLUG_RE = /^[a-z0-9](?:[a-z0-9-]{0,62}[a-z0-9])?$/;
+const SNAPSHOT_NAME_RE = /^data-(\d{8}T\d{6}\d{3}Z)-([a-z-]+)\.json$/;
 
 const MIME = {
   '.html': 'text/html; charset=utf-8',
   '.css': 'text/css; charset=utf-8',
   '.js': 'text/javascript; charset=utf-8',
   '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
   '.jpeg': 'image/jpeg',
@@ -62,83 +269,50 @@ const MIME = {
 };
 
 let STATE = {
-  version: 1,
+  version: STATE_VERSION,
   createdAt: Date.now(),
   updatedAt: Date.now(),
-  backgroundUrl: null,
-  tasks: [],
+  settings: { timeZone: null, dayStartHour: 0 },
+  users: [],
+  sessions: [],
+  legacy: null,
 };
 
+let STORAGE = null; // see storage.js
 let saveChain = Promise.resolve();
-
-function pad2(n) {
-  return String(n).padStart(2, '0');
-}
-
-function localDateKey(date = new Date()) {
-  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
-}
-
-function dateKeyFromUTCDate(d) {
-  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
-}
-
-function addDaysKey(dateKey, days) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey);
-  if (!m) return localDateKey();
-  const y = Number(m[1]);
-  const mo = Number(m[2]);
-  const da = Number(m[3]);
-  const d = new Date(Date.UTC(y, mo - 1, da));
-  d.setUTCDate(d.getUTCDate() + days);
-  return dateKeyFromUTCDate(d);
-}
-
-function dayNumberUTC(dateKey) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey);
-  if (!m) return Math.floor(Date.now() / 86400000);
-  const y = Number(m[1]);
-  const mo = Number(m[2]);
-  const da = Number(m[3]);
-  return Math.floor(Date.UTC(y, mo - 1, da) / 86400000);
-}
-
-function dayDiff(fromKey, toKey) {
-  return dayNumberUTC(toKey) - dayNumberUTC(fromKey);
-}
-
-function roundTo(n, digits = 6) {
-  if (!Number.isFinite(n)) return 0;
-  const f = 10 ** digits;
-  return Math.round((n + Number.EPSILON) * f) / f;
-}
-
-function asSafeNumber(v, fallback = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
+let LAST_AUTO_SNAPSHOT_AT = null; // when the newest 'auto' snapshot was taken; read from disk on the first save
+
+// Open GET /api/events streams: { res, userId, sessionId | tokenId, today, backgroundUrl, seen: Map<taskId, fingerprint> }
+// The rules (engine.js) on the wall clock; the events they raise go out as webhooks.
+const ENGINE = createEngine({ emit: emitWebhookEvent, graceDays: BACKDATE_GRACE_DAYS });
+const { appendLedger, trySecureToday, bookRestDay, cancelRestDay, processTaskToToday, rebaseTaskDay, correctAddEntry, addToToday, addBackdated } = ENGINE;
+const EVENT_CLIENTS = new Set();
+let REMINDERS_RUNNING = false;
+let WEBHOOKS_RUNNING = false;
+let WEBHOOKS_AGAIN = false; // deliveries were queued while a run was in progress
+
+function instanceClock() {
+  const s = STATE.settings || {};
+  return { timeZone: s.timeZone || null, dayStartHour: s.dayStartHour || 0 };
 }
 
-function isLikelyImageMime(mime) {
-  return typeof mime === 'string' && mime.toLowerCase().startsWith('image/');
+// An account's own settings win; null fields follow the instance defaults (as do unclaimed v1 tasks).
+function clockFor(owner) {
+  const own = (owner && owner.settings) || {};
+  const base = instanceClock();
+  return {
+    timeZone: own.timeZone ?? base.timeZone,
+    dayStartHour: own.dayStartHour ?? base.dayStartHour,
+  };
 }
 
-function guessExtFromMime(mime) {
-  const m = (mime || '').toLowerCase();
-  if (m.includes('png')) return '.png';
-  if (m.includes('jpeg') || m.includes('jpg')) return '.jpg';
-  if (m.includes('gif')) return '.gif';
-  if (m.includes('webp')) return '.webp';
-  if (m.includes('svg')) return '.svg';
-  return '';
+function todayKeyFor(owner) {
+  return ENGINE.today(clockFor(owner));
 }
 
-function safeExt(originalName, mime) {
-  const extFromName = path.extname(originalName || '').toLowerCase();
-  const allowed = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg']);
-  if (allowed.has(extFromName)) return extFromName;
-  const extFromMime = guessExtFromMime(mime);
-  if (allowed.has(extFromMime)) return extFromMime;
-  return '.bin';
+// Today on the instance's default clock.
+function localDateKey(date = new Date()) {
+  return dayKeyAt(date, instanceClock());
 }
 
 function uploadsFilePathFromUrl(url) {
@@ -203,60 +377,581 @@ async function serveFile(res, filePath, extraHeaders = {}) {
   }
 }
 
+function defaultDecayValue(mode) {
+  if (mode === 'multiply') return DEFAULT_DECAY_MULTIPLIER;
+  if (mode === 'subtract-fixed') return DEFAULT_DECAY_AMOUNT;
+  return null;
+}
+
+function isValidDecayValue(mode, v) {
+  if (mode === 'multiply') return Number.isFinite(v) && v >= 0 && v <= 1;
+  if (mode === 'subtract-fixed') return Number.isFinite(v) && v >= 0 && v <= MAX_AMOUNT;
+  return v === null;
+}
+
+function normalizeRules(raw) {
+  const r = (raw && typeof raw === 'object') ? raw : {};
+  const threshold = (Number.isFinite(r.threshold) && r.threshold > 0) ? roundTo(r.threshold) : DEFAULT_RULES.threshold;
+  const decayMode = DECAY_MODES.includes(r.decayMode) ? r.decayMode : DEFAULT_RULES.decayMode;
+  const decayValue = isValidDecayValue(decayMode, r.decayValue) ? r.decayValue : defaultDecayValue(decayMode);
+  const carryCap = (Number.isFinite(r.carryCap) && r.carryCap >= 0) ? roundTo(r.carryCap) : null;
+  const freezeEvery = (Number.isInteger(r.freezeEvery) && r.freezeEvery >= 0) ? r.freezeEvery : DEFAULT_RULES.freezeEvery;
+  const freezeMax = (Number.isInteger(r.freezeMax) && r.freezeMax >= 0 && r.freezeMax <= MAX_FREEZES) ? r.freezeMax : DEFAULT_RULES.freezeMax;
+  return { threshold, decayMode, decayValue, carryCap, freezeEvery, freezeMax };
+}
+
+// Applies a partial rules update (JSON values or multipart strings) on top of `base`.
+// Returns { rules } or { error }.
+function parseRulesInput(input, base) {
+  const src = (input && typeof input === 'object') ? input : {};
+  const has = (k) => src[k] !== undefined && src[k] !== '';
+  const next = { ...base };
+
+  if (has('threshold')) {
+    const v = asSafeNumber(src.threshold, NaN);
+    if (!(v > 0) || v > MAX_AMOUNT) return { error: 'threshold must be a positive number' };
+    next.threshold = roundTo(v);
+  }
+  if (has('decayMode')) {
+    if (!DECAY_MODES.includes(src.decayMode)) return { error: `decayMode must be one of: ${DECAY_MODES.join(', ')}` };
+    if (src.decayMode !== next.decayMode) next.decayValue = defaultDecayValue(src.decayMode);
+    next.decayMode = src.decayMode;
+  }
+  if (has('decayValue') && defaultDecayValue(next.decayMode) !== null) {
+    const v = asSafeNumber(src.decayValue, NaN);
+    if (!isValidDecayValue(next.decayMode, v)) {
+      return {
+        error: next.decayMode === 'multiply'
+          ? 'decayValue must be a multiplier between 0 and 1'
+          : 'decayValue must be a non-negative amount',
+      };
+    }
+    next.decayValue = roundTo(v);
+  }
+  if (src.carryCap === null || src.carryCap === '') {
+    next.carryCap = null;
+  } else if (src.carryCap !== undefined) {
+    const v = asSafeNumber(src.carryCap, NaN);
+    if (!(v >= 0) || v > MAX_AMOUNT) return { error: 'carryCap must be a non-negative number (or null for no cap)' };
+    next.carryCap = roundTo(v);
+  }
+  if (has('freezeEvery')) {
+    const v = Number(src.freezeEvery);
+    if (!Number.isInteger(v) || v < 0 || v > 10_000) return { error: 'freezeEvery must be a whole number (0 = never earn freezes)' };
+    next.freezeEvery = v;
+  }
+  if (has('freezeMax')) {
+    const v = Number(src.freezeMax);
+    if (!Number.isInteger(v) || v < 0 || v > MAX_FREEZES) return { error: `freezeMax must be a whole number from 0 to ${MAX_FREEZES}` };
+    next.freezeMax = v;
+  }
+
+  return { rules: next };
+}
+
+function normalizeSchedule(raw, anchorKey) {
+  const r = (raw && typeof raw === 'object') ? raw : {};
+  if (r.type === 'weekdays') {
+    const days = Array.isArray(r.days)
+      ? [...new Set(r.days.filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))].sort((a, b) => a - b)
+      : [];
+    if (days.length) return { type: 'weekdays', days };
+  }
+  if (r.type === 'weekly') {
+    return {
+      type: 'weekly',
+      times: (Number.isInteger(r.times) && r.times >= 1 && r.times <= 7) ? r.times : 1,
+      window: WEEK_WINDOWS.includes(r.window) ? r.window : 'calendar',
+      anchor: (typeof r.anchor === 'string' && DAY_KEY_RE.test(r.anchor)) ? r.anchor : anchorKey,
+    };
+  }
+  return { type: 'daily' };
+}
+
+// Validates a schedule from the API: { type, days?, times?, window? }. Multipart callers pass
+// days as a comma-separated string. Returns { schedule } or { error }.
+function parseScheduleInput(input, base, todayKey) {
+  if (input === undefined) return { schedule: base };
+  const src = (input && typeof input === 'object') ? input : {};
+  if (!SCHEDULE_TYPES.includes(src.type)) return { error: `schedule.type must be one of: ${SCHEDULE_TYPES.join(', ')}` };
+
+  if (src.type === 'weekdays') {
+    const list = typeof src.days === 'string' ? src.days.split(',').filter((x) => x.trim() !== '') : src.days;
+    const days = Array.isArray(list) ? list.map((d) => Number(d)) : [];
+    if (!days.length || !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return { error: 'schedule.days must list weekdays 0-6 (0 = Sunday)' };
+    }
+    return { schedule: normalizeSchedule({ type: 'weekdays', days }, todayKey) };
+  }
+
+  if (src.type === 'weekly') {
+    const times = Number(src.times);
+    if (!Number.isInteger(times) || times < 1 || times > 7) return { error: 'schedule.times must be a whole number from 1 to 7' };
+    const window = src.window === undefined || src.window === '' ? 'calendar' : src.window;
+    if (!WEEK_WINDOWS.includes(window)) return { error: `schedule.window must be one of: ${WEEK_WINDOWS.join(', ')}` };
+    // Rolling weeks keep their anchor unless the window changes, so editing N doesn't shift periods.
+    const keepAnchor = base.type === 'weekly' && base.window === window;
+    return { schedule: normalizeSchedule({ type: 'weekly', times, window, anchor: keepAnchor ? base.anchor : todayKey }, todayKey) };
+  }
+
+  return { schedule: { type: 'daily' } };
+}
+
+// Multipart forms send the schedule as flat fields.
+function scheduleInputFromFields(fields) {
+  if (!fields.scheduleType) return undefined;
+  return { type: fields.scheduleType, days: fields.scheduleDays, times: fields.scheduleTimes, window: fields.scheduleWindow };
+}
+
+// Validates rules and schedule from a create/edit request against the task's current values.
+// Returns { rules, schedule } or { error }.
+function parseTaskSettings(input, current, todayKey) {
+  const parsedRules = parseRulesInput(input, current.rules);
+  if (parsedRules.error) return { error: parsedRules.error };
+  const parsedSchedule = parseScheduleInput(input.schedule, current.schedule, todayKey);
+  if (parsedSchedule.error) return { error: parsedSchedule.error };
+  const parsedReminders = parseRemindersInput(input.reminders, current.reminders || []);
+  if (parsedReminders.error) return { error: parsedReminders.error };
+  return { rules: parsedRules.rules, schedule: parsedSchedule.schedule, reminders: parsedReminders.reminders };
+}
+
+// Sorted, distinct "HH:MM" times (at most MAX_REMINDERS).
+function normalizeReminders(list) {
+  return reminderTimes(list).slice(0, MAX_REMINDERS);
+}
+
+// { dayKey, times }: the reminders already sent on the task's day, kept with the task so a restart
+// within REMINDER_GRACE_MS doesn't send them again.
+function normalizeRemindersSent(raw) {
+  if (!raw || typeof raw.dayKey !== 'string' || !DAY_KEY_RE.test(raw.dayKey)) return null;
+  return { dayKey: raw.dayKey, times: reminderTimes(raw.times) };
+}
+
+function reminderTimes(list) {
+  if (!Array.isArray(list)) return [];
+  const times = list.map((x) => REMINDER_TIME_RE.exec(String(x).trim())).filter(Boolean).map((m) => `${pad2(Number(m[1]))}:${m[2]}`);
+  return [...new Set(times)].sort();
+}
+
+// input: an array of times or a comma-separated string (multipart); '' or [] clears them.
+function parseRemindersInput(input, current) {
+  if (input === undefined) return { reminders: current };
+  const list = typeof input === 'string' ? input.split(',').filter((x) => x.trim() !== '') : input;
+  if (!Array.isArray(list) || !list.every((x) => typeof x === 'string' && REMINDER_TIME_RE.test(x.trim()))) {
+    return { error: 'reminders must be a list of times formatted HH:MM' };
+  }
+  const reminders = reminderTimes(list);
+  if (reminders.length > MAX_REMINDERS) return { error: `At most ${MAX_REMINDERS} reminders per task` };
+  return { reminders };
+}
+
+function normalizeLedgerEntry(raw) {
+  const e = (raw && typeof raw === 'object') ? raw : null;
+  if (!e || !LEDGER_TYPES.has(e.type)) return null;
+  if (typeof e.dayKey !== 'string' || !DAY_KEY_RE.test(e.dayKey)) return null;
+  return {
+    ...e,
+    id: (typeof e.id === 'string' && e.id) ? e.id : crypto.randomUUID(),
+    at: Number.isFinite(e.at) ? e.at : Date.now(),
+  };
+}
+
+function normalizeParticipant(raw) {
+  const p = (raw && typeof raw === 'object') ? raw : null;
+  if (!p || typeof p.name !== 'string' || !p.name.trim()) return null;
+  const streak = (Number.isInteger(p.streak) && p.streak >= 0) ? p.streak : 0;
+  return {
+    ...p,
+    id: (typeof p.id === 'string' && p.id) ? p.id : crypto.randomUUID(),
+    name: p.name.trim().slice(0, 80),
+    userId: (typeof p.userId === 'string' && p.userId) ? p.userId : null,
+    streak,
+    bestStreak: Math.max(streak, (Number.isInteger(p.bestStreak) && p.bestStreak >= 0) ? p.bestStreak : 0),
+    countedPeriodKey: (typeof p.countedPeriodKey === 'string' && DAY_KEY_RE.test(p.countedPeriodKey)) ? p.countedPeriodKey : null,
+    joinedAt: Number.isFinite(p.joinedAt) ? p.joinedAt : Date.now(),
+  };
+}
+
+// { sm, md } -> /uploads/ URLs of the resized copies (see makeThumbnailVariants); none without a thumbnail.
+function normalizeThumbnailVariants(thumbnailUrl, raw) {
+  const variants = {};
+  if (typeof thumbnailUrl !== 'string' || !raw || typeof raw !== 'object') return variants;
+  for (const variant of Object.keys(THUMBNAIL_VARIANTS)) {
+    if (typeof raw[variant] === 'string' && raw[variant].startsWith('/uploads/')) variants[variant] = raw[variant];
+  }
+  return variants;
+}
+
 function normalizeTask(raw) {
   const now = Date.now();
   const t = (raw && typeof raw === 'object') ? raw : {};
-  return {
+  const dayKey = (typeof t.dayKey === 'string' && DAY_KEY_RE.test(t.dayKey)) ? t.dayKey : localDateKey();
+  const securedToday = typeof t.securedToday === 'boolean' ? t.securedToday : false;
+  const task = {
+    ...t, // fields this build doesn't know are kept (see migrations.js)
     id: (typeof t.id === 'string' && t.id) ? t.id : crypto.randomUUID(),
     name: (typeof t.name === 'string' && t.name.trim()) ? t.name.trim() : 'Untitled task',
+    slug: (typeof t.slug === 'string' && SLUG_RE.test(t.slug)) ? t.slug : null, // see assignSlugs
     thumbnailUrl: (typeof t.thumbnailUrl === 'string' && t.thumbnailUrl.startsWith('/uploads/')) ? t.thumbnailUrl : null,
+    thumbnailVariants: normalizeThumbnailVariants(t.thumbnailUrl, t.thumbnailVariants),
+    status: TASK_STATUSES.includes(t.status) ? t.status : 'active',
+    statusBeforeTrash: ['active', 'paused', 'archived'].includes(t.statusBeforeTrash) ? t.statusBeforeTrash : null,
+    statusChangedAt: Number.isFinite(t.statusChangedAt) ? t.statusChangedAt : null,
+    trashedAt: Number.isFinite(t.trashedAt) ? t.trashedAt : null,
+    rules: normalizeRules(t.rules),
+    schedule: normalizeSchedule(t.schedule, dayKey),
     hopper: roundTo(asSafeNumber(t.hopper, 0)),
     streak: Number.isInteger(t.streak) ? t.streak : 0,
-    dayKey: (typeof t.dayKey === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(t.dayKey)) ? t.dayKey : localDateKey(),
-    securedToday: typeof t.securedToday === 'boolean' ? t.securedToday : false,
+    bestStreak: Math.max(Number.isInteger(t.streak) ? t.streak : 0, Number.isInteger(t.bestStreak) ? t.bestStreak : 0),
+    bestStreakDayKey: (typeof t.bestStreakDayKey === 'string' && DAY_KEY_RE.test(t.bestStreakDayKey)) ? t.bestStreakDayKey : null,
+    milestones: Array.isArray(t.milestones)
+      ? t.milestones.filter((m) => m && MILESTONES.includes(m.value) && typeof m.dayKey === 'string' && DAY_KEY_RE.test(m.dayKey))
+        .map((m) => ({ value: m.value, dayKey: m.dayKey, at: Number.isFinite(m.at) ? m.at : null }))
+      : [],
+    dayKey,
+    securedToday,
+    periodKey: (typeof t.periodKey === 'string' && DAY_KEY_RE.test(t.periodKey)) ? t.periodKey : null,
+    periodHits: (Number.isInteger(t.periodHits) && t.periodHits >= 0) ? t.periodHits : (securedToday ? 1 : 0),
+    countedPeriodKey: (typeof t.countedPeriodKey === 'string' && DAY_KEY_RE.test(t.countedPeriodKey)) ? t.countedPeriodKey : null,
+    freezes: (Number.isInteger(t.freezes) && t.freezes >= 0) ? Math.min(t.freezes, MAX_FREEZES) : 0,
+    restDays: Array.isArray(t.restDays) ? [...new Set(t.restDays.filter((d) => typeof d === 'string' && DAY_KEY_RE.test(d)))].sort() : [],
     createdAt: Number.isFinite(t.createdAt) ? t.createdAt : now,
     updatedAt: Number.isFinite(t.updatedAt) ? t.updatedAt : now,
     lastSecuredAt: Number.isFinite(t.lastSecuredAt) ? t.lastSecuredAt : null,
     lastSecuredReason: (typeof t.lastSecuredReason === 'string') ? t.lastSecuredReason : null,
+    lastSecuredBy: (typeof t.lastSecuredBy === 'string') ? t.lastSecuredBy : null,
+    participants: Array.isArray(t.participants) ? t.participants.map(normalizeParticipant).filter(Boolean) : [],
+    lastFrozenAt: Number.isFinite(t.lastFrozenAt) ? t.lastFrozenAt : null,
+    lastFrozenReason: (typeof t.lastFrozenReason === 'string') ? t.lastFrozenReason : null,
+    lastFrozenDayKey: (typeof t.lastFrozenDayKey === 'string' && DAY_KEY_RE.test(t.lastFrozenDayKey)) ? t.lastFrozenDayKey : null,
+    reminders: normalizeReminders(t.reminders),
+    remindersSent: normalizeRemindersSent(t.remindersSent),
+    ledger: Array.isArray(t.ledger) ? t.ledger.map(normalizeLedgerEntry).filter(Boolean) : [],
+  };
+  const expectedPeriodKey = periodStartKey(task, task.dayKey);
+  if (task.periodKey === null) {
+    task.periodKey = expectedPeriodKey;
+  } else if (task.periodKey !== expectedPeriodKey) {
+    task.periodKey = null;
+    resetPeriod(task);
+  }
+  if (!('countedPeriodKey' in t)) task.countedPeriodKey = countedPeriodKeyFromHits(task);
+  return task;
+}
+
+function normalizeBackgroundUrl(url) {
+  return (typeof url === 'string' && url.startsWith('/uploads/')) ? url : null;
+}
+
+// Clock settings. For accounts, null means "use the instance default".
+function normalizeClockSettings(raw, nullable) {
+  const s = (raw && typeof raw === 'object') ? raw : {};
+  const fallbackHour = nullable ? null : 0;
+  return {
+    timeZone: (typeof s.timeZone === 'string' && isValidTimeZone(s.timeZone)) ? s.timeZone : null,
+    dayStartHour: (Number.isInteger(s.dayStartHour) && s.dayStartHour >= 0 && s.dayStartHour <= 23) ? s.dayStartHour : fallbackHour,
+  };
+}
+
+// Returns { settings } or { error }. Fields left out keep their current value.
+function parseClockInput(input, current, nullable) {
+  const next = { ...current };
+  if (input.timeZone !== undefined) {
+    if (input.timeZone === null || input.timeZone === '') next.timeZone = null;
+    else if (typeof input.timeZone === 'string' && isValidTimeZone(input.timeZone)) next.timeZone = input.timeZone;
+    else return { error: 'timeZone must be an IANA time zone such as "Europe/Berlin"' };
+  }
+  if (input.dayStartHour !== undefined) {
+    if (input.dayStartHour === null && nullable) next.dayStartHour = null;
+    else if (Number.isInteger(input.dayStartHour) && input.dayStartHour >= 0 && input.dayStartHour <= 23) next.dayStartHour = input.dayStartHour;
+    else return { error: 'dayStartHour must be a whole hour from 0 to 23' };
+  }
+  return { settings: next };
+}
+
+function normalizeUser(raw) {
+  const now = Date.now();
+  const u = (raw && typeof raw === 'object') ? raw : {};
+  if (typeof u.username !== 'string' || !USERNAME_RE.test(u.username)) return null;
+  if (typeof u.passwordHash !== 'string' || !u.passwordHash) return null;
+  return {
+    ...u,
+    id: (typeof u.id === 'string' && u.id) ? u.id : crypto.randomUUID(),
+    username: u.username,
+    passwordHash: u.passwordHash,
+    isAdmin: u.isAdmin === true,
+    settings: normalizeClockSettings(u.settings, true),
+    createdAt: Number.isFinite(u.createdAt) ? u.createdAt : now,
+    updatedAt: Number.isFinite(u.updatedAt) ? u.updatedAt : now,
+    backgroundUrl: normalizeBackgroundUrl(u.backgroundUrl),
+    pushSubscriptions: Array.isArray(u.pushSubscriptions)
+      ? u.pushSubscriptions.filter(webpush.isValidSubscription)
+        .map((s) => ({ endpoint: s.endpoint, keys: { p256dh: s.keys.p256dh, auth: s.keys.auth }, createdAt: Number.isFinite(s.createdAt) ? s.createdAt : now }))
+      : [],
+    webhooks: Array.isArray(u.webhooks) ? u.webhooks.map(normalizeWebhook).filter(Boolean) : [],
+    apiTokens: Array.isArray(u.apiTokens)
+      ? u.apiTokens.filter((t) => t && typeof t.id === 'string' && typeof t.tokenHash === 'string' && API_TOKEN_SCOPES.includes(t.scope))
+        .map((t) => ({
+          ...t,
+          name: typeof t.name === 'string' ? t.name : '',
+          createdAt: Number.isFinite(t.createdAt) ? t.createdAt : now,
+          lastUsedAt: Number.isFinite(t.lastUsedAt) ? t.lastUsedAt : null,
+          expiresAt: Number.isFinite(t.expiresAt) ? t.expiresAt : null,
+        }))
+      : [],
+    tasks: assignSlugs(Array.isArray(u.tasks) ? u.tasks.map(normalizeTask) : []),
+  };
+}
+
+function slugify(name) {
+  const slug = String(name).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').slice(0, 48).replace(/^-+|-+$/g, '');
+  return slug || 'task';
+}
+
+function uniqueSlug(base, taken) {
+  if (!taken.has(base)) return base;
+  for (let i = 2; ; i++) {
+    const slug = `${base.slice(0, 58)}-${i}`;
+    if (!taken.has(slug)) return slug;
+  }
+}
+
+// Gives every task in one owner's list a slug that is unique in that list; on a clash the earlier
+// task keeps it. Returns `tasks`.
+function assignSlugs(tasks) {
+  const taken = new Set();
+  for (const task of tasks) {
+    task.slug = uniqueSlug(task.slug || slugify(task.name), taken);
+    taken.add(task.slug);
+  }
+  return tasks;
+}
+
+// `value` as a slug for `task` (null: a new task) among `tasks`, or { error }.
+function parseSlugInput(value, tasks, task) {
+  const slug = String(value || '').trim().toLowerCase();
+  if (!SLUG_RE.test(slug)) return { error: 'slug must be 1-64 lowercase letters, digits and dashes (not at either end)' };
+  if (tasks.some((t) => t !== task && (t.slug === slug || t.id === slug))) return { error: 'Another task already uses that slug' };
+  return { slug };
+}
+
+// A task by id, or else by slug (the list's first match: the user's own tasks come first).
+function findTask(tasks, ref) {
+  return tasks.find((t) => t.id === ref) || tasks.find((t) => t.slug === ref) || null;
+}
+
+function normalizeWebhook(raw) {
+  const w = (raw && typeof raw === 'object') ? raw : null;
+  if (!w || !isWebhookUrl(w.url) || typeof w.secret !== 'string' || !w.secret) return null;
+  return {
+    ...w,
+    id: (typeof w.id === 'string' && w.id) ? w.id : crypto.randomUUID(),
+    url: w.url,
+    description: typeof w.description === 'string' ? w.description.slice(0, 200) : '',
+    events: webhookEvents(w.events) || [...WEBHOOK_EVENTS],
+    active: w.active !== false,
+    secret: w.secret,
+    createdAt: Number.isFinite(w.createdAt) ? w.createdAt : Date.now(),
+    deliveries: Array.isArray(w.deliveries)
+      ? w.deliveries.filter((d) => d && typeof d.id === 'string' && d.payload && typeof d.payload === 'object' && Array.isArray(d.attempts))
+        .slice(-WEBHOOK_LOG_LIMIT)
+        .map((d) => ({ ...d, attempts: d.attempts.map(({ response, ...attempt }) => attempt) })) // bodies kept by older builds
+      : [],
   };
 }
 
+function isWebhookUrl(value) {
+  if (typeof value !== 'string' || value.length > 2000) return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+// A non-empty list of known event names (duplicates dropped), or null.
+function webhookEvents(list) {
+  if (!Array.isArray(list) || !list.length || !list.every((e) => WEBHOOK_EVENTS.includes(e))) return null;
+  return WEBHOOK_EVENTS.filter((e) => list.includes(e));
+}
+
+// Expects a document already migrated to STATE_VERSION (see loadState); unknown fields are kept.
 function normalizeState(raw) {
   const now = Date.now();
   const s = (raw && typeof raw === 'object') ? raw : {};
-  const tasks = Array.isArray(s.tasks) ? s.tasks.map(normalizeTask) : [];
-  const backgroundUrl = (typeof s.backgroundUrl === 'string' && s.backgroundUrl.startsWith('/uploads/')) ? s.backgroundUrl : null;
+
+  const users = [];
+  for (const u of (Array.isArray(s.users) ? s.users.map(normalizeUser).filter(Boolean) : [])) {
+    if (!users.some((x) => x.username === u.username || x.id === u.id)) users.push(u);
+  }
+  const sessions = (Array.isArray(s.sessions) ? s.sessions : []).filter((x) => x && typeof x === 'object' &&
+    typeof x.id === 'string' && Number.isFinite(x.expiresAt) && x.expiresAt > now &&
+    users.some((u) => u.id === x.userId));
+
+  // Version 1 tasks and background wait here (rolling over like any other tasks) until the first
+  // account is set up and claims them.
+  const old = (s.legacy && typeof s.legacy === 'object') ? s.legacy : {};
+  const legacyTasks = assignSlugs(Array.isArray(old.tasks) ? old.tasks.map(normalizeTask) : []);
+  const legacyBackgroundUrl = normalizeBackgroundUrl(old.backgroundUrl);
+  const legacy = (legacyTasks.length || legacyBackgroundUrl) ? { tasks: legacyTasks, backgroundUrl: legacyBackgroundUrl } : null;
+
   return {
-    version: 1,
+    ...s,
+    version: STATE_VERSION,
     createdAt: Number.isFinite(s.createdAt) ? s.createdAt : now,
     updatedAt: Number.isFinite(s.updatedAt) ? s.updatedAt : now,
-    backgroundUrl,
-    tasks,
+    settings: normalizeClockSettings(s.settings, false),
+    // the server's Web Push identity; subscriptions are made against its public key. Generated once,
+    // at startup (see main), never here: a state without one may be a snapshot being restored
+    vapid: (s.vapid && typeof s.vapid.publicKey === 'string' && s.vapid.privateKey && typeof s.vapid.privateKey === 'object')
+      ? s.vapid
+      : null,
+    users,
+    sessions: sessions.map((x) => ({ ...x, createdAt: Number.isFinite(x.createdAt) ? x.createdAt : now })),
+    legacy,
   };
 }
 
+// Stored document (any version up to STATE_VERSION, or null) -> in-memory state.
+function loadState(raw) {
+  return normalizeState(migrate(raw).state);
+}
+
+// Data the storage backend can't read or parse is moved aside (never overwritten) and the newest
+// snapshot that parses takes its place. If it can't be moved, startup fails rather than risk saving
+// over it.
+// Older documents are migrated (see migrations.js) after a "pre-migration" snapshot of them is taken,
+// and written back in full at once: the journal and sqlite backends would otherwise keep the tasks no
+// save touches in their old form under the new version number. One written by a newer build stops
+// startup.
 async function loadStateFromDisk() {
   try {
-    const raw = await fsp.readFile(DATA_PATH, 'utf8');
-    const parsed = JSON.parse(raw);
-    return normalizeState(parsed);
+    const raw = await STORAGE.load();
+    const migrated = migrate(raw);
+    if (!migrated.applied.length) return normalizeState(migrated.state);
+    const name = await writeSnapshot(JSON.stringify(raw, null, 2), 'pre-migration');
+    const state = normalizeState(migrated.state);
+    await STORAGE.writeAll(state);
+    console.log(`Migrated state from version ${migrated.from} to ${migrated.to} (previous state kept as snapshots/${name})`);
+    return state;
   } catch (err) {
-    if (err && err.code === 'ENOENT') {
-      return normalizeState(null);
-    }
+    if (err && err.code === 'ESTATENEWER') throw err;
     console.error('Failed to load state:', err);
-    return normalizeState(null);
   }
+
+  STORAGE.close();
+  const stamp = snapshotStamp(Date.now());
+  for (const file of STORAGE.files.filter((x) => fs.existsSync(x))) {
+    const ext = path.extname(file);
+    const quarantined = path.join(QUARANTINE_DIR, `${path.basename(file, ext)}-${stamp}${ext}`);
+    await fsp.rename(file, quarantined);
+    console.error(`Moved the unreadable data file to ${quarantined}`);
+  }
+  for (const snap of await listSnapshots()) {
+    try {
+      const state = loadState(JSON.parse(await fsp.readFile(path.join(SNAPSHOT_DIR, snap.name), 'utf8')));
+      console.error(`Loaded snapshot ${snap.name} instead`);
+      return state;
+    } catch (err) {
+      console.error(`Snapshot ${snap.name} is unreadable too:`, err.message || err);
+    }
+  }
+  console.error('No usable snapshot: starting from an empty state');
+  return normalizeState(null);
 }
 
+// Snapshots are plain JSON whatever the backend, so they restore (and read) the same everywhere.
 async function saveStateToDisk(state) {
-  const tmp = DATA_PATH + '.tmp';
-  const text = JSON.stringify(state, null, 2);
+  await STORAGE.save(state);
+
+  if (LAST_AUTO_SNAPSHOT_AT === null) {
+    const [latest] = (await listSnapshots()).filter((s) => s.reason === 'auto');
+    LAST_AUTO_SNAPSHOT_AT = latest ? latest.createdAt : -Infinity;
+  }
+  if (Date.now() - LAST_AUTO_SNAPSHOT_AT >= SNAPSHOT_INTERVAL_MS) {
+    await writeSnapshot(JSON.stringify(state, null, 2), 'auto');
+    LAST_AUTO_SNAPSHOT_AT = Date.now();
+  }
+}
+
+// 20261019T210500123Z: sorts by time as a string and is safe in a file name.
+function snapshotStamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:.]/g, '');
+}
+
+// Newest first.
+async function listSnapshots() {
+  let names;
+  try {
+    names = await fsp.readdir(SNAPSHOT_DIR);
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const snaps = [];
+  for (const name of names) {
+    const m = SNAPSHOT_NAME_RE.exec(name);
+    if (!m || !SNAPSHOT_REASONS.includes(m[2])) continue;
+    const s = m[1];
+    const createdAt = Date.parse(`${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}T${s.slice(9, 11)}:${s.slice(11, 13)}:${s.slice(13, 15)}.${s.slice(15, 18)}Z`);
+    const stat = await fsp.stat(path.join(SNAPSHOT_DIR, name)).catch(() => null);
+    if (stat && Number.isFinite(createdAt)) snaps.push({ name, createdAt, reason: m[2], size: stat.size });
+  }
+  return snaps.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function writeSnapshot(text, reason) {
+  const name = `data-${snapshotStamp(Date.now())}-${reason}.json`;
+  const tmp = path.join(SNAPSHOT_DIR, `${name}.tmp`);
   await fsp.writeFile(tmp, text, 'utf8');
-  await fsp.rename(tmp, DATA_PATH);
+  await fsp.rename(tmp, path.join(SNAPSHOT_DIR, name));
+  await pruneSnapshots();
+  return name;
+}
+
+// Automatic snapshots keep the newest of each hour for SNAPSHOT_HOURLY hours, then the newest of each
+// (UTC) day for SNAPSHOT_DAILY days. Snapshots taken by hand or before a restore/import are only
+// dropped once they are older than the daily window; pre-migration ones are never dropped.
+async function pruneSnapshots() {
+  const now = Date.now();
+  const buckets = new Set();
+  for (const snap of await listSnapshots()) {
+    const age = now - snap.createdAt;
+    let keep = snap.reason === 'pre-migration' || age < SNAPSHOT_DAILY * 86400000;
+    if (keep && snap.reason === 'auto') {
+      const bucket = age < SNAPSHOT_HOURLY * 3600000
+        ? `h${Math.floor(snap.createdAt / 3600000)}`
+        : `d${Math.floor(snap.createdAt / 86400000)}`;
+      keep = !buckets.has(bucket);
+      buckets.add(bucket);
+    }
+    if (!keep) await safeUnlink(path.join(SNAPSHOT_DIR, snap.name));
+  }
+}
+
+async function listQuarantined() {
+  const names = await fsp.readdir(QUARANTINE_DIR).catch(() => []);
+  const files = [];
+  for (const name of names) {
+    const stat = await fsp.stat(path.join(QUARANTINE_DIR, name)).catch(() => null);
+    if (stat) files.push({ name, movedAt: stat.mtimeMs, size: stat.size });
+  }
+  return files.sort((a, b) => b.movedAt - a.movedAt);
+}
+
+// Snapshots of the in-memory state go through the save chain so they never race a save.
+function queueSnapshot(reason) {
+  const text = JSON.stringify(STATE, null, 2);
+  const done = saveChain.then(() => writeSnapshot(text, reason));
+  saveChain = done.catch((err) => console.error('Snapshot error:', err));
+  return done;
 }
 
 function queueSave() {
+  // every mutation ends in a save, so this is where open event streams hear about it
+  publishChanges();
   // serialize saves to avoid interleaving writes
   saveChain = saveChain
     .then(() => saveStateToDisk(STATE))
@@ -264,321 +959,2410 @@ function queueSave() {
   return saveChain;
 }
 
-function trySecureToday(task, reason) {
-  if (task.securedToday) return false;
-  if (task.hopper >= DAILY_THRESHOLD - EPS) {
-    task.securedToday = true;
-    task.streak = (Number.isInteger(task.streak) ? task.streak : 0) + 1;
-    task.lastSecuredAt = Date.now();
-    task.lastSecuredReason = reason;
-    return true;
-  }
-  return false;
+// Every task list in the state: one per account, plus version 1 tasks not yet claimed.
+function taskOwners() {
+  return taskOwnersOf(STATE);
 }
 
-function processTaskToToday(task, todayKey) {
-  let changed = false;
+function taskOwnersOf(state) {
+  return state.legacy ? [...state.users, state.legacy] : state.users;
+}
 
-  if (typeof task.dayKey !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(task.dayKey)) {
-    task.dayKey = todayKey;
-    task.securedToday = false;
-    changed = true;
-  }
+function scryptAsync(password, salt, keylen) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keylen, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
 
-  // If the clock changes backwards, clamp to today to avoid huge loops.
-  if (task.dayKey > todayKey) {
-    task.dayKey = todayKey;
-    task.securedToday = false;
-    changed = true;
-  }
+// Stored as "scrypt$<salt>$<key>", both base64.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
 
-  const diff = dayDiff(task.dayKey, todayKey);
-  if (diff <= 0) {
-    // same day, nothing to roll
-    return changed;
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') {
+    // still spend the time, so unknown usernames aren't distinguishable by response time
+    await hashPassword(password);
+    return false;
   }
+  const expected = Buffer.from(parts[2], 'base64');
+  const key = await scryptAsync(password, Buffer.from(parts[1], 'base64'), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
 
-  for (let i = 0; i < diff; i++) {
-    // 1) End-of-day check: if not secured, streak breaks
-    if (!task.securedToday && task.streak !== 0) {
-      task.streak = 0;
-      changed = true;
-    } else if (!task.securedToday && task.streak === 0) {
-      // still a \"change\" in terms of moving to next day, so keep changed as-is
+// Returns { username, password } or { error }.
+function parseCredentials(input) {
+  const username = String(input.username || '').trim().toLowerCase();
+  const password = typeof input.password === 'string' ? input.password : '';
+  if (!USERNAME_RE.test(username)) return { error: 'Username must be 1-32 characters: a-z, 0-9, ".", "_" or "-"' };
+  if (password.length < MIN_PASSWORD_LENGTH) return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  return { username, password };
+}
+
+function publicUser(user) {
+  return { id: user.id, username: user.username, isAdmin: user.isAdmin, createdAt: user.createdAt };
+}
+
+function parseCookies(req) {
+  const out = {};
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i === -1) continue;
+    const name = part.slice(0, i).trim();
+    try {
+      if (name) out[name] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      // ignore malformed values
     }
+  }
+  return out;
+}
 
-    // 2) Daily decay (10% deducted)
-    // const newHopper = roundTo(task.hopper * DAILY_DECAY_MULTIPLIER);
-    const newHopper = task.hopper - 1;
-    if (newHopper !== task.hopper) changed = true;
-    task.hopper = Math.max(0, newHopper);
+function sessionIdFromToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-    // 3) Move to next day
-    task.dayKey = addDaysKey(task.dayKey, 1);
-    task.securedToday = false;
-    changed = true;
+function setSessionCookie(res, token, maxAgeSeconds) {
+  const secure = process.env.COOKIE_SECURE === '1' ? '; Secure' : '';
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSeconds}${secure}`);
+}
 
-    // 4) Auto-secure new day if hopper already >= 1.0 at rollover
-    if (trySecureToday(task, 'rollover')) changed = true;
-  }
+// Starts a session for user and sets its cookie on res; the token itself is never stored.
+function startSession(res, user) {
+  const now = Date.now();
+  const token = crypto.randomBytes(32).toString('base64url');
+  STATE.sessions = STATE.sessions.filter((s) => s.expiresAt > now);
+  STATE.sessions.push({ id: sessionIdFromToken(token), userId: user.id, createdAt: now, expiresAt: now + SESSION_TTL_MS });
+  setSessionCookie(res, token, Math.floor(SESSION_TTL_MS / 1000));
+}
 
-  return changed;
+// { session, user } for the request's session cookie, or null.
+function sessionFromRequest(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (!token) return null;
+  const id = sessionIdFromToken(token);
+  const session = STATE.sessions.find((s) => s.id === id && s.expiresAt > Date.now());
+  const user = session && STATE.users.find((u) => u.id === session.userId);
+  return user ? { session, user } : null;
 }
 
-function processAllToToday() {
-  const todayKey = localDateKey();
-  let changed = false;
-  for (const task of STATE.tasks) {
-    if (processTaskToToday(task, todayKey)) {
-      task.updatedAt = Date.now();
-      changed = true;
-    }
-    // ensure valid numbers
-    if (!Number.isFinite(task.hopper) || task.hopper < 0) {
-      task.hopper = 0;
-      task.updatedAt = Date.now();
-      changed = true;
-    }
-  }
-  if (changed) {
-    STATE.updatedAt = Date.now();
+// { token, user } for an "Authorization: Bearer <API token>" header, or null.
+function apiTokenFromRequest(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || ''));
+  if (!m || !m[1].startsWith(API_TOKEN_PREFIX)) return null;
+  const hash = sessionIdFromToken(m[1]);
+  const now = Date.now();
+  for (const user of STATE.users) {
+    const token = user.apiTokens.find((t) => t.tokenHash === hash && (t.expiresAt === null || t.expiresAt > now));
+    if (token) return { token, user };
   }
-  return changed;
+  return null;
 }
 
-function readRequestBody(req, maxBytes) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    let total = 0;
-    req.on('data', (chunk) => {
-      total += chunk.length;
-      if (total > maxBytes) {
-        reject(new Error(`Request body too large (>${maxBytes} bytes)`));
-        req.destroy();
-        return;
-      }
-      chunks.push(chunk);
-    });
-    req.on('end', () => resolve(Buffer.concat(chunks)));
-    req.on('error', reject);
-  });
+// What an API token's scope lets it call (see the header comment).
+function apiTokenAllows(scope, method, pathname) {
+  if (pathname === '/api/tokens' || pathname.startsWith('/api/tokens/') || pathname === '/api/auth/password') return false;
+  if (scope === 'admin') return true;
+  if (scope === 'read') return method === 'GET';
+  if (scope === 'log') return method === 'POST' && /^\/api\/tasks\/[^\/]+\/(add|undo)$/.test(pathname);
+  return false;
 }
 
-async function readJson(req) {
-  const body = await readRequestBody(req, MAX_JSON_BYTES);
-  const text = body.toString('utf8').trim();
-  if (!text) return {};
-  try {
-    return JSON.parse(text);
-  } catch {
-    throw new Error('Invalid JSON');
-  }
+function jsonApiTokenView(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    scope: token.scope,
+    hint: token.hint,
+    createdAt: token.createdAt,
+    lastUsedAt: token.lastUsedAt,
+    expiresAt: token.expiresAt,
+  };
 }
 
-function parsePartHeaders(rawHeaders) {
-  const headers = {};
-  const lines = rawHeaders.split('\r\n');
-  for (const line of lines) {
-    const idx = line.indexOf(':');
-    if (idx === -1) continue;
-    const key = line.slice(0, idx).trim().toLowerCase();
-    const value = line.slice(idx + 1).trim();
-    headers[key] = value;
+// The add `user` made with Idempotency-Key `key` on this task within IDEMPOTENCY_TTL_MS, if any. A key
+// is the caller's own: on a team task, another participant's add with the same key is a different add.
+function idempotentAdd(task, key, user) {
+  const since = Date.now() - IDEMPOTENCY_TTL_MS;
+  for (let i = task.ledger.length - 1; i >= 0 && task.ledger[i].at >= since; i--) {
+    const e = task.ledger[i];
+    if (e.type === 'add' && e.idempotencyKey === key && idempotencyUserId(task, e) === user.id) return e;
   }
-  return headers;
+  return null;
 }
 
-// Minimal multipart/form-data parser (loads whole body into memory, capped by MAX_MULTIPART_BYTES)
-async function readMultipart(req) {
-  const contentType = String(req.headers['content-type'] || '');
-  const m = /boundary=(?:(\"[^\"]+\")|([^;]+))/i.exec(contentType);
-  if (!m) throw new Error('Missing multipart boundary');
-  const boundaryStr = (m[1] ? m[1].slice(1, -1) : m[2]).trim();
-  if (!boundaryStr) throw new Error('Invalid multipart boundary');
-
-  const bodyBuf = await readRequestBody(req, MAX_MULTIPART_BYTES);
-  const boundary = `--${boundaryStr}`;
-  const body = bodyBuf.toString('latin1'); // latin1 keeps byte-for-byte mapping
+// Who made an add with an Idempotency-Key. Adds from before it was recorded go to the participant's
+// account, else the task owner's.
+function idempotencyUserId(task, entry) {
+  if (entry.idempotencyUserId) return entry.idempotencyUserId;
+  const participant = entry.participantId ? task.participants.find((p) => p.id === entry.participantId) : null;
+  if (participant && participant.userId) return participant.userId;
+  const owner = ownerOfTask(task);
+  return owner ? owner.id : null;
+}
 
-  const sections = body.split(boundary);
+// The thumbnail of `task` and its variants.
+function taskUploadUrls(task) {
+  return task.thumbnailUrl ? [task.thumbnailUrl, ...Object.values(task.thumbnailVariants)] : [];
+}
 
-  const fields = {};
-  const files = {};
+// Whether `user` may load an upload: their background, or an image of a task they see (their own,
+// and team tasks shared with them).
+function userCanSeeUpload(user, url) {
+  return user.backgroundUrl === url || visibleTasks(user).some((t) => taskUploadUrls(t).includes(url));
+}
 
-  for (let sec of sections) {
-    if (!sec) continue;
-    // discard final marker
-    if (sec === '--\r\n' || sec === '--') continue;
+// Every /uploads/ URL the given owners (accounts, or the unclaimed version 1 data) link to.
+function referencedUploads(owners) {
+  const urls = new Set();
+  for (const owner of owners) {
+    if (owner.backgroundUrl) urls.add(owner.backgroundUrl);
+    for (const task of owner.tasks) for (const url of taskUploadUrls(task)) urls.add(url);
+  }
+  return urls;
+}
 
-    // Each part starts with \\r\\n
-    if (sec.startsWith('\r\n')) sec = sec.slice(2);
+// Unlinks those of `urls` that nothing in STATE links to any more; call it once the links are gone.
+// A file can be linked more than once (an image reused as a thumbnail or background, see GET /api/media).
+async function releaseUploads(urls) {
+  const linked = referencedUploads(taskOwners());
+  for (const url of urls) {
+    if (url && !linked.has(url)) await safeUnlink(uploadsFilePathFromUrl(url));
+  }
+}
 
-    // Remove trailing \\r\\n
-    if (sec.endsWith('\r\n')) sec = sec.slice(0, -2);
+// Every /uploads/ URL a snapshot links to: restoring one brings those links back.
+async function snapshotUploadUrls() {
+  const urls = new Set();
+  for (const snap of await listSnapshots()) {
+    const text = await fsp.readFile(path.join(SNAPSHOT_DIR, snap.name), 'utf8').catch(() => '');
+    for (const m of text.matchAll(/"(\/uploads\/[A-Za-z0-9._-]+)"/g)) urls.add(m[1]);
+  }
+  return urls;
+}
 
-    // The final boundary ends with --, which can bleed into last split chunk
-    if (sec.endsWith('--')) sec = sec.slice(0, -2);
+// Removes the files in uploads/ that neither STATE nor a snapshot links to (left by an interrupted
+// request, or by data that was replaced while a snapshot still needed its images), unless they are
+// younger than UPLOAD_GC_MIN_AGE_MS. dryRun only reports them. Returns { removed: [{ url, size,
+// modifiedAt }], bytes }.
+async function collectUnlinkedUploads({ dryRun = false } = {}) {
+  const linked = referencedUploads(taskOwners());
+  for (const url of await snapshotUploadUrls()) linked.add(url);
+  const cutoff = Date.now() - UPLOAD_GC_MIN_AGE_MS;
+  const removed = [];
+  let bytes = 0;
+  for (const name of await fsp.readdir(UPLOAD_DIR)) {
+    const url = `/uploads/${name}`;
+    if (linked.has(url)) continue;
+    const filePath = path.join(UPLOAD_DIR, name);
+    const stat = await fsp.stat(filePath).catch(() => null);
+    if (!stat || !stat.isFile() || stat.mtimeMs > cutoff) continue; // .incoming/ is a directory
+    if (!dryRun) await safeUnlink(filePath);
+    removed.push({ url, size: stat.size, modifiedAt: Math.round(stat.mtimeMs) });
+    bytes += stat.size;
+  }
+  return { removed, bytes };
+}
 
-    const headerEndIdx = sec.indexOf('\r\n\r\n');
-    if (headerEndIdx === -1) continue;
+// GET /api/media: the images `owners` link to, newest first, each with its size on disk (null when the
+// file is missing), its resized variants and what links to it. withUnlinked adds every other file in
+// uploads/ (references: []).
+async function listMedia(owners, { withUnlinked = false } = {}) {
+  const items = new Map();
+  const variantUrls = new Set();
+  const itemFor = (url) => {
+    if (!items.has(url)) items.set(url, { url, size: null, modifiedAt: null, variants: {}, references: [] });
+    return items.get(url);
+  };
+  for (const owner of owners) {
+    const ownerName = owner.username || null; // null: version 1 data waiting for its first account
+    if (owner.backgroundUrl) itemFor(owner.backgroundUrl).references.push({ kind: 'background', owner: ownerName });
+    for (const task of owner.tasks) {
+      if (!task.thumbnailUrl) continue;
+      const item = itemFor(task.thumbnailUrl);
+      item.references.push({ kind: 'thumbnail', owner: ownerName, taskId: task.id, taskName: task.name, taskStatus: task.status });
+      for (const [variant, url] of Object.entries(task.thumbnailVariants)) {
+        item.variants[variant] = { url, size: null };
+        variantUrls.add(url);
+      }
+    }
+  }
+  if (withUnlinked) {
+    for (const name of await fsp.readdir(UPLOAD_DIR)) {
+      const url = `/uploads/${name}`;
+      if (!items.has(url) && !variantUrls.has(url) && UPLOAD_NAME_RE.test(name)) itemFor(url);
+    }
+  }
+  const media = [];
+  for (const item of items.values()) {
+    const stat = await fsp.stat(uploadsFilePathFromUrl(item.url)).catch(() => null);
+    if (stat && !stat.isFile()) continue;
+    if (stat) {
+      item.size = stat.size;
+      item.modifiedAt = Math.round(stat.mtimeMs);
+    }
+    for (const variant of Object.values(item.variants)) {
+      const variantStat = await fsp.stat(uploadsFilePathFromUrl(variant.url)).catch(() => null);
+      if (variantStat) variant.size = variantStat.size;
+    }
+    media.push(item);
+  }
+  return media.sort((a, b) => (b.modifiedAt || 0) - (a.modifiedAt || 0));
+}
 
-    const rawHeaders = sec.slice(0, headerEndIdx);
-    const rawContent = sec.slice(headerEndIdx + 4);
+// Why `url` can't be linked again by `user` (as a thumbnail or background), or null when it can: it must
+// be one of their images (not a resized variant) and still be a PNG, JPEG, GIF or WebP on disk.
+async function reuseImageError(user, url) {
+  if (typeof url !== 'string' || !(user.backgroundUrl === url || user.tasks.some((t) => t.thumbnailUrl === url))) {
+    return 'Not one of your images (see GET /api/media)';
+  }
+  const head = await readFileHead(uploadsFilePathFromUrl(url)).catch(() => null);
+  if (!head) return 'That image is missing';
+  if (!images.sniffImage(head)) return 'Only a PNG, JPEG, GIF or WebP image can be reused';
+  return null;
+}
 
-    const headers = parsePartHeaders(rawHeaders);
-    const disp = headers['content-disposition'] || '';
-    const nameMatch = /name=\"([^\"]+)\"/i.exec(disp);
-    const fieldName = nameMatch ? nameMatch[1] : null;
-    if (!fieldName) continue;
+// The variants for `url` linked as a thumbnail again: those of a task that already shows it, or new ones.
+async function thumbnailVariantsFor(user, url) {
+  const shown = user.tasks.find((t) => t.thumbnailUrl === url && Object.keys(t.thumbnailVariants).length);
+  return shown ? { ...shown.thumbnailVariants } : makeThumbnailVariants(url);
+}
 
-    const filenameMatch = /filename=\"([^\"]*)\"/i.exec(disp);
-    const isFile = Boolean(filenameMatch && filenameMatch[1] !== '');
+// An account bundle is a state with no accounts whose tasks and background wait in `legacy`, like
+// version 1 data waiting for an owner; an instance bundle is the whole state minus sessions.
+async function buildExport(user, scope) {
+  const state = scope === 'instance'
+    ? { ...STATE, sessions: [] }
+    : { version: STATE_VERSION, settings: user.settings, legacy: { tasks: user.tasks, backgroundUrl: user.backgroundUrl } };
+  const files = [];
+  for (const url of referencedUploads(scope === 'instance' ? taskOwners() : [user])) {
+    try {
+      files.push({ url, data: (await fsp.readFile(uploadsFilePathFromUrl(url))).toString('base64') });
+    } catch {
+      // already missing on disk: the link is imported as no image
+    }
+  }
+  return { format: EXPORT_FORMAT, scope, exportedAt: Date.now(), exportedBy: user.username, state, files };
+}
 
-    if (isFile) {
-      const originalName = filenameMatch ? filenameMatch[1] : 'upload.bin';
-      const mime = headers['content-type'] || 'application/octet-stream';
-      const data = Buffer.from(rawContent, 'latin1');
-      files[fieldName] = { originalName, mime, data };
-    } else {
-      fields[fieldName] = rawContent;
+// Returns { scope, state (normalized), settings (account bundles), files: Map url -> Buffer } or { error }.
+// A file whose bytes aren't the image its name says (an SVG from before they were refused, say) is
+// left out, so links to it are imported as no image.
+function parseImportBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== EXPORT_FORMAT) return { error: 'Not an export bundle' };
+  if (!EXPORT_SCOPES.includes(bundle.scope)) return { error: 'Unknown bundle scope' };
+  if (!bundle.state || typeof bundle.state !== 'object') return { error: 'Bundle has no state' };
+
+  const files = new Map();
+  for (const file of Array.isArray(bundle.files) ? bundle.files : []) {
+    const name = file && typeof file.url === 'string' && file.url.startsWith('/uploads/') ? file.url.slice('/uploads/'.length) : '';
+    if (!UPLOAD_NAME_RE.test(name) || typeof file.data !== 'string') {
+      return { error: `Invalid file in bundle: ${String(file && file.url)}` };
     }
+    const data = Buffer.from(file.data, 'base64');
+    const kind = images.sniffImage(data);
+    if (kind && kind.exts.includes(path.extname(name).toLowerCase())) files.set(file.url, data);
   }
 
-  return { fields, files };
+  // account bundles from before `legacy` was used kept the tasks and background at the top level
+  const { tasks, backgroundUrl, ...rest } = bundle.state;
+  const raw = (bundle.scope === 'account' && Array.isArray(tasks) && !rest.legacy)
+    ? { ...rest, legacy: { tasks, backgroundUrl } }
+    : bundle.state;
+  let state;
+  try {
+    state = loadState(raw);
+  } catch (err) {
+    return { error: `Bundle: ${err.message || err}` };
+  }
+  if (bundle.scope === 'instance' && !state.users.some((u) => u.isAdmin)) return { error: 'Bundle has no admin account' };
+  return { scope: bundle.scope, state, settings: normalizeClockSettings(bundle.state.settings, true), files };
 }
 
-function matchRoute(pathname, re) {
-  const m = re.exec(pathname);
-  if (!m) return null;
-  return m;
+// Writes bundle files to uploads/ and returns bundle URL -> stored URL. A taken name gets a fresh one,
+// unless `reusable(url)` allows linking the identical file already there (never someone else's: the
+// import would claim it).
+async function storeImportedFiles(files, reusable) {
+  const stored = new Map();
+  for (const [url, data] of files) {
+    let name = path.basename(url);
+    const existing = await fsp.readFile(path.join(UPLOAD_DIR, name)).catch(() => null);
+    if (existing && reusable(url) && existing.equals(data)) {
+      stored.set(url, url);
+      continue;
+    }
+    if (existing) {
+      const ext = path.extname(name);
+      name = `${path.basename(name, ext)}-${crypto.randomUUID().slice(0, 8)}${ext}`;
+    }
+    await fsp.writeFile(path.join(UPLOAD_DIR, name), data);
+    stored.set(url, `/uploads/${name}`);
+  }
+  return stored;
+}
+
+// Fits imported tasks into the instance: fresh ids where one is already taken, thumbnails pointing at
+// the stored files (a link to a file the bundle doesn't carry is dropped, so an import can't claim
+// someone else's upload) and participants linked only to accounts that exist here.
+// Returns the task ids that changed.
+function adoptImportedTasks(tasks, takenIds, fileUrls, userIds) {
+  const remapped = [];
+  for (const task of tasks) {
+    if (takenIds.has(task.id)) {
+      const id = crypto.randomUUID();
+      remapped.push({ from: task.id, to: id });
+      task.id = id;
+    }
+    takenIds.add(task.id);
+    task.thumbnailUrl = task.thumbnailUrl ? fileUrls.get(task.thumbnailUrl) || null : null;
+    const variants = {};
+    for (const [variant, url] of Object.entries(task.thumbnailVariants)) {
+      if (task.thumbnailUrl && fileUrls.has(url)) variants[variant] = fileUrls.get(url);
+    }
+    task.thumbnailVariants = variants;
+    for (const p of task.participants) {
+      if (p.userId) p.userId = userIds.get(p.userId) || null;
+    }
+  }
+  return remapped;
+}
+
+// Reminder times of `task` that passed less than REMINDER_GRACE_MS ago on the owner's clock, while
+// the task is active and its current day (or week) still needs securing.
+function dueReminderTimes(task, owner, now) {
+  if (!task.reminders.length || task.status !== 'active' || task.securedToday) return [];
+  if (task.dayKey !== todayKeyFor(owner) || !isScheduledDay(task, task.dayKey)) return [];
+  if (task.periodHits >= requiredHits(task, task.periodKey)) return [];
+  const clock = clockFor(owner);
+  const nowMinutes = minutesIntoDay(now, clock);
+  return task.reminders.filter((time) => {
+    const [h, m] = time.split(':').map(Number);
+    const due = (h * 60 + m - clock.dayStartHour * 60 + 1440) % 1440;
+    return nowMinutes >= due && (nowMinutes - due) * 60000 < REMINDER_GRACE_MS;
+  });
+}
+
+// The owner and every account linked to one of the task's participants.
+function reminderRecipients(task, owner) {
+  const ids = new Set([owner.id, ...task.participants.map((p) => p.userId).filter(Boolean)]);
+  return STATE.users.filter((u) => ids.has(u.id));
+}
+
+function reminderPayload(task, time) {
+  const left = roundTo(Math.max(0, task.rules.threshold - task.hopper), 2);
+  return {
+    title: `⏳ ${task.name}`,
+    body: task.schedule.type === 'weekly'
+      ? `${task.periodHits} of ${requiredHits(task, task.periodKey)} days secured this week. ${left} more today counts.`
+      : `Not secured yet today: ${left} to go.`,
+    tag: `reminder-${task.id}`,
+    url: '/',
+    taskId: task.id,
+    time,
+  };
+}
+
+// One notification to every device `user` subscribed; subscriptions the push service reports as gone
+// are dropped. Returns one result per subscription.
+async function pushToUser(user, payload) {
+  const results = [];
+  for (const sub of [...user.pushSubscriptions]) {
+    try {
+      const out = await webpush.sendNotification(sub, payload, STATE.vapid, { subject: VAPID_SUBJECT });
+      if (out.gone) user.pushSubscriptions = user.pushSubscriptions.filter((s) => s.endpoint !== sub.endpoint);
+      results.push({ endpoint: sub.endpoint, status: out.status });
+    } catch (err) {
+      results.push({ endpoint: sub.endpoint, error: String(err.message || err) });
+    }
+  }
+  return results;
+}
+
+async function postReminderWebhook(body) {
+  if (!REMINDER_WEBHOOK_URL) return null;
+  try {
+    const res = await fetch(REMINDER_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(10000),
+    });
+    await res.arrayBuffer().catch(() => null);
+    return { status: res.status };
+  } catch (err) {
+    return { error: String(err.message || err) };
+  }
+}
+
+// Run by the ticker: sends each due reminder once (per task, day and time; see task.remindersSent).
+async function sendDueReminders() {
+  if (REMINDERS_RUNNING) return;
+  REMINDERS_RUNNING = true;
+  let changed = false;
+  try {
+    const now = new Date();
+    for (const owner of STATE.users) {
+      for (const task of owner.tasks) {
+        for (const time of dueReminderTimes(task, owner, now)) {
+          const sent = task.remindersSent && task.remindersSent.dayKey === task.dayKey ? task.remindersSent.times : [];
+          if (sent.includes(time)) continue;
+          task.remindersSent = { dayKey: task.dayKey, times: [...sent, time] };
+          task.updatedAt = Date.now();
+          changed = true;
+          const payload = reminderPayload(task, time);
+          const recipients = reminderRecipients(task, owner);
+          for (const user of recipients) {
+            await pushToUser(user, payload);
+          }
+          const hook = await postReminderWebhook({
+            event: 'reminder',
+            sentAt: now.getTime(),
+            time,
+            dayKey: task.dayKey,
+            owner: owner.username,
+            recipients: recipients.map((u) => u.username),
+            task: { id: task.id, name: task.name, hopper: task.hopper, threshold: task.rules.threshold, streak: task.streak },
+            message: `${payload.title}: ${payload.body}`,
+          });
+          if (hook && hook.error) console.error(`Reminder webhook failed: ${hook.error}`);
+        }
+      }
+    }
+  } finally {
+    REMINDERS_RUNNING = false;
+  }
+  if (changed) {
+    STATE.updatedAt = Date.now();
+    await queueSave();
+  }
+}
+
+function webhookTaskView(task) {
+  return {
+    id: task.id,
+    name: task.name,
+    status: task.status,
+    dayKey: task.dayKey,
+    hopper: task.hopper,
+    threshold: task.rules.threshold,
+    schedule: task.schedule.type,
+    streak: task.streak,
+    bestStreak: task.bestStreak,
+    securedToday: task.securedToday,
+  };
+}
+
+// Queues `event` on every active webhook of the task's owner that subscribes to it; delivery runs
+// right after the current request or rollover.
+function emitWebhookEvent(task, event, data) {
+  const owner = STATE.users.find((u) => u.tasks.includes(task));
+  if (!owner) return;
+  const hooks = owner.webhooks.filter((w) => w.active && w.events.includes(event));
+  if (!hooks.length) return;
+  const payload = { event, occurredAt: Date.now(), owner: owner.username, task: webhookTaskView(task), data };
+  for (const hook of hooks) queueWebhookDelivery(hook, payload, WEBHOOK_LOG_LIMIT);
+  setImmediate(() => deliverWebhooks().catch((err) => console.error('Webhook error:', err)));
+}
+
+// Sends every pending delivery that is due, one at a time. Run after events are queued and by the
+// ticker (for retries, and for deliveries still pending from before a restart). Deliveries of a
+// paused webhook wait until it is active again.
+async function deliverWebhooks() {
+  if (WEBHOOKS_RUNNING) {
+    WEBHOOKS_AGAIN = true;
+    return;
+  }
+  WEBHOOKS_RUNNING = true;
+  let attempted = false;
+  try {
+    do {
+      WEBHOOKS_AGAIN = false;
+      for (const user of [...STATE.users]) {
+        for (const hook of [...user.webhooks]) {
+          for (const delivery of [...hook.deliveries]) {
+            if (!hook.active || delivery.status !== 'pending' || delivery.nextAttemptAt > Date.now()) continue;
+            if (await attemptWebhookDelivery(hook, delivery)) attempted = true;
+          }
+        }
+      }
+    } while (WEBHOOKS_AGAIN);
+  } finally {
+    WEBHOOKS_RUNNING = false;
+  }
+  if (attempted) {
+    STATE.updatedAt = Date.now();
+    await queueSave();
+  }
+}
+
+// The secret is only shown when it is created (or rotated).
+function jsonWebhookView(hook, { withSecret = false } = {}) {
+  const last = hook.deliveries[hook.deliveries.length - 1] || null;
+  return {
+    id: hook.id,
+    url: hook.url,
+    description: hook.description,
+    events: hook.events,
+    active: hook.active,
+    createdAt: hook.createdAt,
+    ...(withSecret ? { secret: hook.secret } : { secretHint: `…${hook.secret.slice(-4)}` }),
+    pending: hook.deliveries.filter((d) => d.status === 'pending').length,
+    failed: hook.deliveries.filter((d) => d.status === 'failed').length,
+    lastDelivery: last ? { id: last.id, event: last.event, status: last.status, createdAt: last.createdAt } : null,
+  };
+}
+
+// Changes whenever a route touches the task (they all bump updatedAt) or the ledger grows.
+function taskFingerprint(task) {
+  return `${task.updatedAt}:${task.ledger.length}:${task.status}`;
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Pushes what each open event stream hasn't seen yet: new or changed task views, tasks that went away
+// (purged, unshared, owner deleted), the background and the day key. Streams whose session has ended
+// (logout, password change, deleted account) are closed.
+function publishChanges() {
+  if (!EVENT_CLIENTS.size) return;
+  const now = Date.now();
+  for (const client of EVENT_CLIENTS) {
+    const user = STATE.users.find((u) => u.id === client.userId);
+    const valid = user && (client.tokenId
+      ? user.apiTokens.some((t) => t.id === client.tokenId && (t.expiresAt === null || t.expiresAt > now))
+      : STATE.sessions.some((s) => s.id === client.sessionId && s.expiresAt > now));
+    if (!valid) {
+      EVENT_CLIENTS.delete(client);
+      client.res.end();
+      continue;
+    }
+
+    const today = todayKeyFor(user);
+    if (client.today !== today) {
+      client.today = today;
+      sendEvent(client.res, 'day', { today });
+    }
+    const seen = new Map();
+    for (const task of visibleTasks(user)) {
+      const fingerprint = taskFingerprint(task);
+      seen.set(task.id, fingerprint);
+      if (client.seen.get(task.id) !== fingerprint) sendEvent(client.res, 'task', { task: jsonTaskView(task, user) });
+    }
+    for (const id of client.seen.keys()) {
+      if (!seen.has(id)) sendEvent(client.res, 'task-removed', { id });
+    }
+    client.seen = seen;
+    if (client.backgroundUrl !== user.backgroundUrl) {
+      client.backgroundUrl = user.backgroundUrl;
+      sendEvent(client.res, 'background', { backgroundUrl: user.backgroundUrl });
+    }
+  }
+}
+
+// Once the account is gone from STATE.
+async function deleteUserFiles(user) {
+  await releaseUploads(referencedUploads([user]));
+}
+
+// One row per day that has ledger activity: how much was poured and how the day ended.
+// status: 'secured' | 'missed' | 'frozen' | 'rest' | 'off' for past days, 'secured' | 'open' |
+// 'rest' | 'off' for the task's current day ('off' == not a scheduled day, 'frozen' == missed
+// but saved by a freeze).
+function dailyTotals(task, from, to) {
+  const inRange = (key) => (!from || key >= from) && (!to || key <= to);
+  const days = new Map();
+  const row = (key) => {
+    let d = days.get(key);
+    if (!d) {
+      d = { dayKey: key, poured: 0, status: null };
+      days.set(key, d);
+    }
+    return d;
+  };
+
+  for (const e of task.ledger) {
+    if (!inRange(e.dayKey)) continue;
+    if (e.type === 'add' || e.type === 'correction') {
+      const d = row(e.dayKey);
+      d.poured = roundTo(d.poured + asSafeNumber(e.type === 'add' ? e.amount : e.delta, 0));
+    } else if (e.type === 'rollover') {
+      row(e.dayKey).status = ['secured', 'off', 'rest', 'frozen'].includes(e.outcome) ? e.outcome : 'missed';
+    }
+  }
+  if (inRange(task.dayKey)) {
+    let status = 'open';
+    if (task.securedToday) status = 'secured';
+    else if (isRestDay(task, task.dayKey)) status = 'rest';
+    else if (!isScheduledDay(task, task.dayKey)) status = 'off';
+    row(task.dayKey).status = status;
+  }
+
+  return [...days.values()].sort((a, b) => (a.dayKey < b.dayKey ? -1 : 1));
+}
+
+// `target` sums the thresholds of the tasks counted that day, so shading stays comparable
+// when tasks have different daily targets.
+function aggregateDailyTotals(perTask) {
+  const days = new Map();
+  for (const { threshold, days: list } of perTask) {
+    for (const d of list) {
+      let agg = days.get(d.dayKey);
+      if (!agg) {
+        agg = { dayKey: d.dayKey, poured: 0, target: 0, secured: 0, missed: 0, frozen: 0, open: 0 };
+        days.set(d.dayKey, agg);
+      }
+      agg.poured = roundTo(agg.poured + d.poured);
+      if (d.status && d.status !== 'off' && d.status !== 'rest') {
+        agg[d.status] += 1;
+        agg.target = roundTo(agg.target + threshold);
+      }
+    }
+  }
+  return [...days.values()].sort((a, b) => (a.dayKey < b.dayKey ? -1 : 1));
+}
+
+// Lifetime numbers for a task, derived from its ledger. Rest and unscheduled days are neither
+// secured nor missed, and today only counts once it is secured.
+function taskStats(task) {
+  const days = dailyTotals(task, null, null);
+  const count = (status) => days.filter((d) => d.status === status).length;
+  const securedDays = count('secured');
+  const missedDays = count('missed');
+  const frozenDays = count('frozen');
+  const decided = securedDays + missedDays + frozenDays;
+  const totalPoured = roundTo(days.reduce((sum, d) => sum + d.poured, 0));
+  const firstDayKey = days.length ? days[0].dayKey : task.dayKey;
+  const trackedDays = dayDiff(firstDayKey, task.dayKey) + 1;
+  const next = MILESTONES.find((m) => m > task.streak) || null;
+  return {
+    taskId: task.id,
+    name: task.name,
+    status: task.status,
+    unit: task.schedule.type === 'weekly' ? 'weeks' : 'days',
+    streak: task.streak,
+    bestStreak: task.bestStreak,
+    bestStreakDayKey: task.bestStreakDayKey,
+    securedToday: task.securedToday,
+    securedDays,
+    missedDays,
+    frozenDays,
+    restDays: count('rest'),
+    completionRate: decided ? roundTo(securedDays / decided, 4) : null,
+    totalPoured,
+    averageDailyPour: roundTo(totalPoured / trackedDays, 4),
+    firstDayKey,
+    trackedDays,
+    milestones: task.milestones,
+    nextMilestone: next ? { value: next, remaining: next - task.streak } : null,
+  };
+}
+
+function rebaseOwnerTasks(owner, reason) {
+  const todayKey = todayKeyFor(owner);
+  let changed = false;
+  for (const task of owner.tasks) {
+    if (rebaseTaskDay(task, todayKey, reason)) {
+      task.updatedAt = Date.now();
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function participantForUser(task, user) {
+  return task.participants.find((p) => p.userId === user.id) || null;
+}
+
+function ownerOfTask(task) {
+  return STATE.users.find((u) => u.tasks.includes(task)) || null;
+}
+
+// The user's own tasks plus team tasks of other accounts that list them as a participant.
+function visibleTasks(user) {
+  const shared = [];
+  for (const other of STATE.users) {
+    if (other === user) continue;
+    for (const t of other.tasks) {
+      if (t.status !== 'trashed' && participantForUser(t, user)) shared.push(t);
+    }
+  }
+  return [...user.tasks, ...shared];
+}
+
+function teamView(task) {
+  const totals = contributionTotals(task);
+  return task.participants.map((p) => {
+    const user = p.userId ? STATE.users.find((u) => u.id === p.userId) : null;
+    return {
+      id: p.id,
+      name: p.name,
+      userId: p.userId,
+      username: user ? user.username : null,
+      streak: p.streak,
+      bestStreak: Math.max(p.bestStreak, p.streak),
+      pouredThisPeriod: p.countedPeriodKey === task.periodKey,
+      ...totals.get(p.id),
+    };
+  });
+}
+
+function processAllToToday() {
+  let changed = false;
+  for (const owner of taskOwners()) {
+    const todayKey = todayKeyFor(owner);
+    for (const task of owner.tasks) {
+      if (processTaskToToday(task, todayKey)) {
+        task.updatedAt = Date.now();
+        changed = true;
+      }
+      // ensure valid numbers
+      if (!Number.isFinite(task.hopper) || task.hopper < 0) {
+        task.hopper = 0;
+        task.updatedAt = Date.now();
+        changed = true;
+      }
+    }
+  }
+  if (changed) {
+    STATE.updatedAt = Date.now();
+  }
+  return changed;
+}
+
+async function purgeExpiredTrash() {
+  const cutoff = Date.now() - TRASH_RETENTION_DAYS * 86400000;
+  let purged = false;
+  for (const owner of taskOwners()) {
+    const expired = owner.tasks.filter((t) => t.status === 'trashed' && t.trashedAt !== null && t.trashedAt < cutoff);
+    if (!expired.length) continue;
+    owner.tasks = owner.tasks.filter((t) => !expired.includes(t));
+    await releaseUploads(expired.flatMap(taskUploadUrls));
+    purged = true;
+  }
+  if (purged) STATE.updatedAt = Date.now();
+  return purged;
+}
+
+function setTaskStatus(task, status) {
+  const from = task.status;
+  if (status === 'trashed') {
+    task.statusBeforeTrash = from;
+    task.trashedAt = Date.now();
+  } else {
+    task.statusBeforeTrash = null;
+    task.trashedAt = null;
+  }
+  task.status = status;
+  task.statusChangedAt = Date.now();
+  appendLedger(task, { type: 'status', dayKey: task.dayKey, from, to: status });
+  // Back in play: today counts from now, and the hopper may already cover it.
+  if (status === 'active') trySecureToday(task, 'resume');
+}
+
+// Sends 409 and returns false unless the task accepts progress/rule changes right now.
+function ensureActive(res, task) {
+  if (task.status === 'active') return true;
+  sendJson(res, 409, { error: `Task is ${task.status}` });
+  return false;
+}
+
+function isMultipartRequest(req) {
+  return /^multipart\/form-data/i.test(String(req.headers['content-type'] || ''));
+}
+
+function readRequestBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    req.on('data', (chunk) => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        reject(new Error(`Request body too large (>${maxBytes} bytes)`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readJson(req, maxBytes = MAX_JSON_BYTES) {
+  const body = await readRequestBody(req, maxBytes);
+  const text = body.toString('utf8').trim();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error('Invalid JSON');
+  }
+}
+
+// readMultipart (multipart.js) with this server's limits, writing file parts to INCOMING_DIR.
+function readMultipart(req, res) {
+  return multipart.readMultipart(req, res, {
+    dir: INCOMING_DIR,
+    maxBytes: MAX_MULTIPART_BYTES,
+    maxFieldBytes: MAX_MULTIPART_FIELD_BYTES,
+    maxHeaderBytes: MAX_MULTIPART_HEADER_BYTES,
+  });
+}
+
+async function readFileHead(filePath, length = 1024) {
+  const head = Buffer.alloc(length);
+  const fh = await fsp.open(filePath, 'r');
+  try {
+    const { bytesRead } = await fh.read(head, 0, length, 0);
+    return head.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
+  }
+}
+
+// Moves an uploaded file (from readMultipart) into uploads/ as `<prefix>-<time>-<random><ext>`, with
+// the extension of the type its first bytes show. Returns { url, kind } or { error }.
+async function acceptUploadedImage(file, prefix) {
+  const head = await readFileHead(file.path);
+  const kind = images.sniffImage(head);
+  if (!kind) {
+    return { error: images.looksLikeSvg(head) ? 'SVG images are not accepted; upload a PNG, JPEG, GIF or WebP' : 'Not a PNG, JPEG, GIF or WebP image' };
+  }
+  const filename = `${prefix}-${Date.now()}-${crypto.randomUUID().slice(0, 8)}${kind.ext}`;
+  await fsp.rename(file.path, path.join(UPLOAD_DIR, filename));
+  return { url: `/uploads/${filename}`, kind };
+}
+
+// Writes the THUMBNAIL_VARIANTS of an uploaded thumbnail next to it (`<name>.<variant>.png`) and
+// returns { variant: url }; {} when images.js can't decode the file (the grid then shows the original).
+async function makeThumbnailVariants(url) {
+  const filePath = uploadsFilePathFromUrl(url);
+  const data = filePath ? await fsp.readFile(filePath).catch(() => null) : null;
+  if (!data) return {};
+  // decoded in images.js's worker thread, so other requests and event streams carry on meanwhile
+  const pngs = await images.thumbnailVariants(data, THUMBNAIL_VARIANTS).catch((err) => {
+    console.error(`Could not make thumbnails of ${url}:`, err.message || err);
+    return {};
+  });
+  const variants = {};
+  const base = path.basename(filePath, path.extname(filePath));
+  for (const [variant, png] of Object.entries(pngs)) {
+    const name = `${base}.${variant}.png`;
+    await fsp.writeFile(path.join(UPLOAD_DIR, name), png);
+    variants[variant] = `/uploads/${name}`;
+  }
+  return variants;
+}
+
+// Gives every thumbnail that has no variants yet its variants (uploads from before they existed, and
+// imported ones). Returns whether any task changed.
+async function backfillThumbnailVariants(tasks) {
+  let changed = false;
+  for (const task of tasks) {
+    if (!task.thumbnailUrl || Object.keys(task.thumbnailVariants).length) continue;
+    const variants = await makeThumbnailVariants(task.thumbnailUrl);
+    if (!Object.keys(variants).length) continue;
+    task.thumbnailVariants = variants;
+    task.updatedAt = Date.now();
+    changed = true;
+  }
+  return changed;
+}
+
+function matchRoute(pathname, re) {
+  const m = re.exec(pathname);
+  if (!m) return null;
+  return m;
 }
 
-function jsonTaskView(task) {
+// viewer: the account the view is for, so team tasks shared with it can say whose they are.
+function jsonTaskView(task, viewer = null) {
+  const owner = viewer ? ownerOfTask(task) : null;
   return {
     id: task.id,
     name: task.name,
+    slug: task.slug,
     thumbnailUrl: task.thumbnailUrl,
+    thumbnailVariants: task.thumbnailVariants,
+    rules: task.rules,
+    schedule: task.schedule,
     hopper: task.hopper,
     streak: task.streak,
+    bestStreak: task.bestStreak,
+    bestStreakDayKey: task.bestStreakDayKey,
+    milestones: task.milestones,
     dayKey: task.dayKey,
     securedToday: task.securedToday,
+    scheduledToday: isScheduledDay(task, task.dayKey),
+    periodKey: task.periodKey,
+    periodHits: task.periodHits,
+    periodRequired: requiredHits(task, task.periodKey),
+    freezes: task.freezes,
+    restDays: task.restDays.filter((d) => d >= task.dayKey),
+    lastFrozenAt: task.lastFrozenAt,
+    lastFrozenReason: task.lastFrozenReason,
+    lastFrozenDayKey: task.lastFrozenDayKey,
+    reminders: task.reminders,
+    status: task.status,
+    statusChangedAt: task.statusChangedAt,
+    trashedAt: task.trashedAt,
+    purgeAt: task.trashedAt === null ? null : task.trashedAt + TRASH_RETENTION_DAYS * 86400000,
     lastSecuredAt: task.lastSecuredAt,
     lastSecuredReason: task.lastSecuredReason,
+    lastSecuredBy: task.lastSecuredBy,
+    participants: teamView(task),
+    sharedBy: (owner && owner !== viewer) ? owner.username : null,
+    todayAdds: task.ledger
+      .filter((e) => e.type === 'add' && currentDayKeys(task).has(e.dayKey))
+      .map((e) => ({ id: e.id, at: e.at, amount: e.amount, effectiveAmount: effectiveAmount(task, e), participantId: e.participantId || null })),
     createdAt: task.createdAt,
     updatedAt: task.updatedAt,
   };
 }
 
-async function handleApi(req, res, pathname) {
-  // Always bring state up-to-date before mutating / reporting
-  const rolled = processAllToToday();
-  if (rolled) await queueSave();
+async function handleApi(req, res, pathname, query) {
+  // Always bring state up-to-date before mutating / reporting
+  const rolled = processAllToToday();
+  const purged = await purgeExpiredTrash();
+  if (rolled || purged) await queueSave();
+
+  // GET /api/auth/me — also tells a fresh install that the first (admin) account still needs creating
+  if (req.method === 'GET' && pathname === '/api/auth/me') {
+    const auth = sessionFromRequest(req);
+    sendJson(res, 200, {
+      user: auth ? publicUser(auth.user) : null,
+      setupRequired: STATE.users.length === 0,
+    });
+    return;
+  }
+
+  // POST /api/auth/setup {username, password} — first run only; the admin inherits version 1 data
+  if (req.method === 'POST' && pathname === '/api/auth/setup') {
+    let input;
+    try {
+      input = await readJson(req);
+    } catch (err) {
+      sendJson(res, 400, { error: String(err.message || err) });
+      return;
+    }
+    const creds = parseCredentials(input);
+    if (creds.error) {
+      sendJson(res, 400, { error: creds.error });
+      return;
+    }
+    const passwordHash = await hashPassword(creds.password);
+    // re-checked after the await: two setup requests must not both succeed
+    if (STATE.users.length) {
+      sendJson(res, 409, { error: 'Setup has already been completed' });
+      return;
+    }
+
+    const now = Date.now();
+    const user = normalizeUser({ id: crypto.randomUUID(), username: creds.username, passwordHash, isAdmin: true, createdAt: now, updatedAt: now });
+    if (STATE.legacy) {
+      user.tasks = STATE.legacy.tasks;
+      user.backgroundUrl = STATE.legacy.backgroundUrl;
+      STATE.legacy = null;
+    }
+    STATE.users.push(user);
+    startSession(res, user);
+    STATE.updatedAt = now;
+    await queueSave();
+    sendJson(res, 201, { user: publicUser(user) });
+    return;
+  }
+
+  // POST /api/auth/login {username, password}
+  if (req.method === 'POST' && pathname === '/api/auth/login') {
+    let input;
+    try {
+      input = await readJson(req);
+    } catch (err) {
+      sendJson(res, 400, { error: String(err.message || err) });
+      return;
+    }
+    const username = String(input.username || '').trim().toLowerCase();
+    const user = STATE.users.find((u) => u.username === username);
+    const ok = await verifyPassword(typeof input.password === 'string' ? input.password : '', user ? user.passwordHash : null);
+    // (the account may also have been deleted while the hash was computed)
+    if (!user || !ok || !STATE.users.includes(user)) {
+      sendJson(res, 401, { error: 'Wrong username or password' });
+      return;
+    }
+    startSession(res, user);
+    STATE.updatedAt = Date.now();
+    await queueSave();
+    sendJson(res, 200, { user: publicUser(user) });
+    return;
+  }
+
+  // POST /api/auth/logout
+  if (req.method === 'POST' && pathname === '/api/auth/logout') {
+    const auth = sessionFromRequest(req);
+    if (auth) {
+      STATE.sessions = STATE.sessions.filter((s) => s !== auth.session);
+      STATE.updatedAt = Date.now();
+      await queueSave();
+    }
+    setSessionCookie(res, '', 0);
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+
+  // Everything below requires a signed-in user (or an API token) and only sees that user's data.
+  const auth = req.headers.authorization ? apiTokenFromRequest(req) : sessionFromRequest(req);
+  if (!auth) {
+    sendJson(res, 401, { error: req.headers.authorization ? 'Unknown or expired API token' : 'Not signed in' });
+    return;
+  }
+  if (auth.token) {
+    if (!apiTokenAllows(auth.token.scope, req.method, pathname)) {
+      sendJson(res, 403, { error: `An API token with scope "${auth.token.scope}" can't do that` });
+      return;
+    }
+    auth.token.lastUsedAt = Date.now(); // saved with the next change
+  }
+  const { user } = auth;
+
+  // POST /api/auth/password {currentPassword, newPassword} — signs out the user's other sessions
+  if (req.method === 'POST' && pathname === '/api/auth/password') {
+    let input;
+    try {
+      input = await readJson(req);
+    } catch (err) {
+      sendJson(res, 400, { error: String(err.message || err) });
+      return;
+    }
+    if (!(await verifyPassword(typeof input.currentPassword === 'string' ? input.currentPassword : '', user.passwordHash))) {
+      sendJson(res, 403, { error: 'Current password is wrong' });
+      return;
+    }
+    const creds = parseCredentials({ username: user.username, password: input.newPassword });
+    if (creds.error) {
+      sendJson(res, 400, { error: creds.error });
+      return;
+    }
+    user.passwordHash = await hashPassword(creds.password);
+    user.updatedAt = Date.now();
+    STATE.sessions = STATE.sessions.filter((s) => s.userId !== user.id || s === auth.session);
+    STATE.updatedAt = Date.now();
+    await queueSave();
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+
+  // GET /api/tokens — this account's API tokens (never the tokens themselves)
+  if (req.method === 'GET' && pathname === '/api/tokens') {
+    sendJson(res, 200, { tokens: user.apiTokens.map(jsonApiTokenView), scopes: API_TOKEN_SCOPES });
+    return;
+  }
+
+  // POST /api/tokens  (json: { name, scope: 'read' | 'log' | 'admin', expiresInDays? }) — the token is
+  // only in this response; it is stored hashed, like session tokens
+  if (req.method === 'POST' && pathname === '/api/tokens') {
+    let input;
+    try {
+      input = await readJson(req);
+    } catch (err) {
+      sendJson(res, 400, { error: String(err.message || err) });
+      return;
+    }
+    const name = String(input.name || '').trim();
+    if (!name || name.length > 80) {
+      sendJson(res, 400, { error: 'name is required (up to 80 characters)' });
+      return;
+    }
+    if (!API_TOKEN_SCOPES.includes(input.scope)) {
+      sendJson(res, 400, { error: `scope must be one of: ${API_TOKEN_SCOPES.join(', ')}` });
+      return;
+    }
+    const days = input.expiresInDays === undefined || input.expiresInDays === null ? null : Number(input.expiresInDays);
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > 3650)) {
+      sendJson(res, 400, { error: 'expiresInDays must be a whole number from 1 to 3650 (or null: never)' });
+      return;
+    }
+    if (user.apiTokens.length >= MAX_API_TOKENS) {
+      sendJson(res, 409, { error: `An account can have at most ${MAX_API_TOKENS} API tokens` });
+      return;
+    }
+    const now = Date.now();
+    const secret = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const token = {
+      id: crypto.randomUUID(),
+      name,
+      scope: input.scope,
+      tokenHash: sessionIdFromToken(secret),
+      hint: `${secret.slice(0, 8)}…`,
+      createdAt: now,
+      lastUsedAt: null,
+      expiresAt: days === null ? null : now + days * 86400000,
+    };
+    user.apiTokens.push(token);
+    STATE.updatedAt = now;
+    await queueSave();
+    sendJson(res, 201, { token: jsonApiTokenView(token), secret });
+    return;
+  }
+
+  // DELETE /api/tokens/:id — revokes it straight away
+  {
+    const m = matchRoute(pathname, /^\/api\/tokens\/([^\/]+)$/);
+    if (req.method === 'DELETE' && m) {
+      const token = user.apiTokens.find((t) => t.id === m[1]);
+      if (!token) {
+        sendJson(res, 404, { error: 'Token not found' });
+        return;
+      }
+      user.apiTokens = user.apiTokens.filter((t) => t !== token);
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      publishChanges(); // ends event streams opened with it
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+  }
+
+  // PATCH /api/settings  (json: { timeZone?, dayStartHour? }) — the account's clock; null follows the
+  // instance default. Tasks move to the new "today" without a rollover.
+  if (req.method === 'PATCH' && pathname === '/api/settings') {
+    let input;
+    try {
+      input = await readJson(req);
+    } catch (err) {
+      sendJson(res, 400, { error: String(err.message || err) });
+      return;
+    }
+    const parsed = parseClockInput(input, user.settings, true);
+    if (parsed.error) {
+      sendJson(res, 400, { error: parsed.error });
+      return;
+    }
+    user.settings = parsed.settings;
+    user.updatedAt = Date.now();
+    const rebased = rebaseOwnerTasks(user, 'settings');
+    STATE.updatedAt = Date.now();
+    await queueSave();
+    sendJson(res, 200, { settings: user.settings, today: todayKeyFor(user), rebased });
+    return;
+  }
+
+  // POST /api/push/subscriptions  (json: the browser's PushSubscription { endpoint, keys: { p256dh, auth } })
+  // DELETE /api/push/subscriptions  (json: { endpoint })
+  if (pathname === '/api/push/subscriptions' && (req.method === 'POST' || req.method === 'DELETE')) {
+    let input;
+    try {
+      input = await readJson(req);
+    } catch (err) {
+      sendJson(res, 400, { error: String(err.message || err) });
+      return;
+    }
+    if (typeof input.endpoint !== 'string' || !input.endpoint) {
+      sendJson(res, 400, { error: 'endpoint is required' });
+      return;
+    }
+    if (req.method === 'POST' && !webpush.isValidSubscription(input)) {
+      sendJson(res, 400, { error: 'Not a push subscription (endpoint URL, keys.p256dh and keys.auth)' });
+      return;
+    }
+    // a browser has one subscription, for whoever signed in on it last
+    for (const u of STATE.users) u.pushSubscriptions = u.pushSubscriptions.filter((s) => s.endpoint !== input.endpoint);
+    if (req.method === 'POST') {
+      user.pushSubscriptions.push({ endpoint: input.endpoint, keys: { p256dh: input.keys.p256dh, auth: input.keys.auth }, createdAt: Date.now() });
+      user.pushSubscriptions = user.pushSubscriptions.slice(-MAX_PUSH_SUBSCRIPTIONS);
+    }
+    STATE.updatedAt = Date.now();
+    await queueSave();
+    sendJson(res, req.method === 'POST' ? 201 : 200, { devices: user.pushSubscriptions.length });
+    return;
+  }
+
+  // POST /api/reminders/test — a sample reminder to this account's devices and the reminder webhook
+  if (req.method === 'POST' && pathname === '/api/reminders/test') {
+    const payload = { title: '⏳ Test reminder', body: 'Reminders reach this device.', tag: 'reminder-test', url: '/' };
+    const push = await pushToUser(user, payload);
+    const webhook = await postReminderWebhook({ event: 'reminder-test', sentAt: Date.now(), owner: user.username, recipients: [user.username], message: `${payload.title}: ${payload.body}` });
+    STATE.updatedAt = Date.now();
+    await queueSave();
+    sendJson(res, 200, { push, webhook });
+    return;
+  }
+
+  // GET /api/webhooks — this account's webhooks
+  if (req.method === 'GET' && pathname === '/api/webhooks') {
+    sendJson(res, 200, { webhooks: user.webhooks.map((w) => jsonWebhookView(w)), events: WEBHOOK_EVENTS });
+    return;
+  }
+
+  // POST /api/webhooks  (json: { url, events?, description? }) — events default to all of them; the
+  // response carries the signing secret, which isn't shown again
+  // PATCH /api/webhooks/:id  (json: { url?, events?, description?, active?, rotateSecret? })
+  // DELETE /api/webhooks/:id — its pending deliveries are dropped with it
+  {
+    const m = matchRoute(pathname, /^\/api\/webhooks(?:\/([^\/]+))?$/);
+    const method = req.method;
+    if (m && ((method === 'POST' && !m[1]) || ((method === 'PATCH' || method === 'DELETE') && m[1]))) {
+      const hook = m[1] ? user.webhooks.find((w) => w.id === m[1]) : null;
+      if (m[1] && !hook) {
+        sendJson(res, 404, { error: 'Webhook not found' });
+        return;
+      }
+
+      if (method === 'DELETE') {
+        user.webhooks = user.webhooks.filter((w) => w !== hook);
+        STATE.updatedAt = Date.now();
+        await queueSave();
+        sendJson(res, 200, { ok: true });
+        return;
+      }
+
+      let input;
+      try {
+        input = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: String(err.message || err) });
+        return;
+      }
+      if ((input.url !== undefined || !hook) && !isWebhookUrl(input.url)) {
+        sendJson(res, 400, { error: 'url must be an http(s) URL' });
+        return;
+      }
+      const events = input.events === undefined ? (hook ? hook.events : [...WEBHOOK_EVENTS]) : webhookEvents(input.events);
+      if (!events) {
+        sendJson(res, 400, { error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` });
+        return;
+      }
+      if (input.description !== undefined && typeof input.description !== 'string') {
+        sendJson(res, 400, { error: 'description must be a string' });
+        return;
+      }
+      if (input.active !== undefined && typeof input.active !== 'boolean') {
+        sendJson(res, 400, { error: 'active must be true or false' });
+        return;
+      }
+      if (!hook && user.webhooks.length >= MAX_WEBHOOKS) {
+        sendJson(res, 409, { error: `An account can have at most ${MAX_WEBHOOKS} webhooks` });
+        return;
+      }
+
+      const target = hook || { id: crypto.randomUUID(), createdAt: Date.now(), active: true, description: '', deliveries: [] };
+      if (input.url !== undefined) target.url = input.url;
+      target.events = events;
+      if (input.description !== undefined) target.description = input.description.trim().slice(0, 200);
+      if (input.active !== undefined) target.active = input.active;
+      const newSecret = !hook || input.rotateSecret === true;
+      if (newSecret) target.secret = crypto.randomBytes(32).toString('hex');
+      if (!hook) user.webhooks.push(target);
+
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      if (target.active) setImmediate(() => deliverWebhooks().catch((err) => console.error('Webhook error:', err)));
+      sendJson(res, hook ? 200 : 201, { webhook: jsonWebhookView(target, { withSecret: newSecret }) });
+      return;
+    }
+  }
+
+  // GET /api/webhooks/:id/deliveries — the delivery log, newest first, with every attempt
+  // POST /api/webhooks/:id/ping — queues a "ping" delivery (whatever the event filter)
+  // POST /api/webhooks/:id/deliveries/:deliveryId/retry — sends a failed (or pending) delivery again now
+  // (409 while it is being sent)
+  {
+    const m = matchRoute(pathname, /^\/api\/webhooks\/([^\/]+)\/(deliveries|ping)(?:\/([^\/]+)\/retry)?$/);
+    const method = req.method;
+    const ok = m && ((method === 'GET' && m[2] === 'deliveries' && !m[3])
+      || (method === 'POST' && m[2] === 'ping' && !m[3])
+      || (method === 'POST' && m[2] === 'deliveries' && m[3]));
+    if (ok) {
+      const hook = user.webhooks.find((w) => w.id === m[1]);
+      if (!hook) {
+        sendJson(res, 404, { error: 'Webhook not found' });
+        return;
+      }
+      if (method === 'GET') {
+        sendJson(res, 200, { deliveries: [...hook.deliveries].reverse() });
+        return;
+      }
+
+      if (!hook.active) {
+        sendJson(res, 409, { error: 'Webhook is paused; activate it first' });
+        return;
+      }
+      let delivery;
+      if (m[2] === 'ping') {
+        delivery = queueWebhookDelivery(hook, { event: 'ping', occurredAt: Date.now(), owner: user.username, task: null, data: { webhookId: hook.id } }, WEBHOOK_LOG_LIMIT);
+      } else {
+        delivery = hook.deliveries.find((d) => d.id === m[3]);
+        if (!delivery) {
+          sendJson(res, 404, { error: 'Delivery not found' });
+          return;
+        }
+        if (delivery.status === 'delivered') {
+          sendJson(res, 409, { error: 'Already delivered' });
+          return;
+        }
+        if (isWebhookInFlight(delivery)) {
+          sendJson(res, 409, { error: 'That delivery is being sent right now' });
+          return;
+        }
+        delivery.status = 'pending';
+      }
+      await attemptWebhookDelivery(hook, delivery);
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      sendJson(res, 200, { delivery });
+      return;
+    }
+  }
+
+  // /api/admin/* — accounts and instance settings, admins only
+  if (pathname.startsWith('/api/admin/') && !user.isAdmin) {
+    sendJson(res, 403, { error: 'Admins only' });
+    return;
+  }
+
+  // GET /api/admin/settings
+  // PATCH /api/admin/settings  (json: { timeZone?, dayStartHour? }) — instance defaults (timeZone null ==
+  // the server's zone); tasks of every account following them move to the new "today"
+  if (pathname === '/api/admin/settings' && (req.method === 'GET' || req.method === 'PATCH')) {
+    if (req.method === 'PATCH') {
+      let input;
+      try {
+        input = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: String(err.message || err) });
+        return;
+      }
+      const parsed = parseClockInput(input, STATE.settings, false);
+      if (parsed.error) {
+        sendJson(res, 400, { error: parsed.error });
+        return;
+      }
+      STATE.settings = parsed.settings;
+      for (const owner of taskOwners()) rebaseOwnerTasks(owner, 'settings');
+      STATE.updatedAt = Date.now();
+      await queueSave();
+    }
+    sendJson(res, 200, { settings: STATE.settings, serverTimeZone: SERVER_TIME_ZONE });
+    return;
+  }
+
+  // GET /api/admin/snapshots — newest first, plus data files that were quarantined because they didn't parse
+  if (req.method === 'GET' && pathname === '/api/admin/snapshots') {
+    sendJson(res, 200, {
+      snapshots: await listSnapshots(),
+      quarantined: await listQuarantined(),
+      retention: { hourly: SNAPSHOT_HOURLY, daily: SNAPSHOT_DAILY },
+    });
+    return;
+  }
+
+  // POST /api/admin/snapshots — takes one now
+  if (req.method === 'POST' && pathname === '/api/admin/snapshots') {
+    const name = await queueSnapshot('manual');
+    sendJson(res, 201, { snapshot: (await listSnapshots()).find((s) => s.name === name) });
+    return;
+  }
+
+  // POST /api/admin/media/gc?dryRun=1 — removes uploads nothing links to (as on every start); dryRun
+  // only lists them
+  if (req.method === 'POST' && pathname === '/api/admin/media/gc') {
+    const dryRun = ['1', 'true'].includes(query.get('dryRun'));
+    const { removed, bytes } = await collectUnlinkedUploads({ dryRun });
+    sendJson(res, 200, { dryRun, removed, bytes, minAgeMs: UPLOAD_GC_MIN_AGE_MS });
+    return;
+  }
+
+  // POST /api/admin/snapshots/:name/restore — the current state is snapshotted first. Sessions are not
+  // restored: whoever is signed in now stays signed in if their account exists in the snapshot.
+  {
+    const m = matchRoute(pathname, /^\/api\/admin\/snapshots\/([^\/]+)\/restore$/);
+    if (req.method === 'POST' && m) {
+      const name = decodeURIComponent(m[1]);
+      const match = SNAPSHOT_NAME_RE.exec(name);
+      if (!match || !SNAPSHOT_REASONS.includes(match[2])) {
+        sendJson(res, 404, { error: 'Snapshot not found' });
+        return;
+      }
+      let restored;
+      try {
+        restored = loadState(JSON.parse(await fsp.readFile(path.join(SNAPSHOT_DIR, name), 'utf8')));
+      } catch (err) {
+        if (err && err.code === 'ENOENT') {
+          sendJson(res, 404, { error: 'Snapshot not found' });
+        } else {
+          sendJson(res, 422, { error: `Snapshot is unreadable: ${err.message || err}` });
+        }
+        return;
+      }
+
+      const preRestore = await queueSnapshot('pre-restore');
+      restored.sessions = STATE.sessions.filter((s) => restored.users.some((u) => u.id === s.userId));
+      restored.vapid = STATE.vapid; // the push subscriptions out there are made against this one
+      STATE = restored;
+      processAllToToday();
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      sendJson(res, 200, { restored: name, preRestore, signedOut: !STATE.users.some((u) => u.id === user.id) });
+      return;
+    }
+  }
+
+  // GET /api/admin/users
+  if (req.method === 'GET' && pathname === '/api/admin/users') {
+    sendJson(res, 200, {
+      users: STATE.users.map((u) => ({ ...publicUser(u), taskCount: u.tasks.length })),
+    });
+    return;
+  }
+
+  // POST /api/admin/users {username, password, isAdmin?}
+  if (req.method === 'POST' && pathname === '/api/admin/users') {
+    let input;
+    try {
+      input = await readJson(req);
+    } catch (err) {
+      sendJson(res, 400, { error: String(err.message || err) });
+      return;
+    }
+    const creds = parseCredentials(input);
+    if (creds.error) {
+      sendJson(res, 400, { error: creds.error });
+      return;
+    }
+    const passwordHash = await hashPassword(creds.password);
+    if (STATE.users.some((u) => u.username === creds.username)) {
+      sendJson(res, 409, { error: 'Username is taken' });
+      return;
+    }
+    const now = Date.now();
+    const created = normalizeUser({ id: crypto.randomUUID(), username: creds.username, passwordHash, isAdmin: input.isAdmin === true, createdAt: now, updatedAt: now });
+    STATE.users.push(created);
+    STATE.updatedAt = now;
+    await queueSave();
+    sendJson(res, 201, { user: publicUser(created) });
+    return;
+  }
+
+  // PATCH /api/admin/users/:id {password?, isAdmin?} — a password reset signs the user out everywhere
+  // DELETE /api/admin/users/:id — removes the account, its tasks and its uploads
+  {
+    const m = matchRoute(pathname, /^\/api\/admin\/users\/([^\/]+)$/);
+    if ((req.method === 'PATCH' || req.method === 'DELETE') && m) {
+      const target = STATE.users.find((u) => u.id === m[1]);
+      if (!target) {
+        sendJson(res, 404, { error: 'User not found' });
+        return;
+      }
+
+      if (req.method === 'DELETE') {
+        if (target === user) {
+          sendJson(res, 409, { error: 'You cannot delete your own account' });
+          return;
+        }
+        STATE.users = STATE.users.filter((u) => u !== target);
+        STATE.sessions = STATE.sessions.filter((s) => s.userId !== target.id);
+        // their team memberships stay as plain names
+        for (const u of STATE.users) {
+          for (const t of u.tasks) {
+            for (const p of t.participants) {
+              if (p.userId !== target.id) continue;
+              p.userId = null;
+              t.updatedAt = Date.now();
+            }
+          }
+        }
+        await deleteUserFiles(target);
+        STATE.updatedAt = Date.now();
+        await queueSave();
+        sendJson(res, 200, { ok: true });
+        return;
+      }
+
+      let input;
+      try {
+        input = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: String(err.message || err) });
+        return;
+      }
+      if (input.isAdmin !== undefined && typeof input.isAdmin !== 'boolean') {
+        sendJson(res, 400, { error: 'isAdmin must be true or false' });
+        return;
+      }
+      if (input.isAdmin === false && target === user) {
+        sendJson(res, 409, { error: 'You cannot remove your own admin rights' });
+        return;
+      }
+      let passwordHash = null;
+      if (input.password !== undefined) {
+        const creds = parseCredentials({ username: target.username, password: input.password });
+        if (creds.error) {
+          sendJson(res, 400, { error: creds.error });
+          return;
+        }
+        passwordHash = await hashPassword(creds.password);
+      }
+
+      if (typeof input.isAdmin === 'boolean') target.isAdmin = input.isAdmin;
+      if (passwordHash) {
+        target.passwordHash = passwordHash;
+        STATE.sessions = STATE.sessions.filter((s) => s.userId !== target.id || s === auth.session);
+      }
+      target.updatedAt = Date.now();
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      sendJson(res, 200, { user: publicUser(target) });
+      return;
+    }
+  }
+
+  // GET /api/events — Server-Sent Events stream of `task`, `task-removed`, `background` and `day`
+  // events (JSON data). It starts from the current state: load /api/state once the stream is open.
+  if (req.method === 'GET' && pathname === '/api/events') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+    const client = {
+      res,
+      userId: user.id,
+      sessionId: auth.session ? auth.session.id : null,
+      tokenId: auth.token ? auth.token.id : null,
+      today: todayKeyFor(user),
+      backgroundUrl: user.backgroundUrl,
+      seen: new Map(visibleTasks(user).map((t) => [t.id, taskFingerprint(t)])),
+    };
+    EVENT_CLIENTS.add(client);
+    req.on('close', () => EVENT_CLIENTS.delete(client));
+    return;
+  }
+
+  // GET /api/state
+  if (req.method === 'GET' && pathname === '/api/state') {
+    const clock = clockFor(user);
+    sendJson(res, 200, {
+      now: Date.now(),
+      today: todayKeyFor(user),
+      // the clock days are counted on; settings holds the account's own overrides (null == default)
+      clock: { timeZone: clock.timeZone || SERVER_TIME_ZONE, dayStartHour: clock.dayStartHour },
+      settings: user.settings,
+      config: {
+        defaultRules: normalizeRules(DEFAULT_RULES),
+        decayModes: DECAY_MODES,
+        trashRetentionDays: TRASH_RETENTION_DAYS,
+        backdateGraceDays: BACKDATE_GRACE_DAYS,
+        milestones: MILESTONES,
+        maxReminders: MAX_REMINDERS,
+        vapidPublicKey: STATE.vapid.publicKey,
+        reminderWebhook: Boolean(REMINDER_WEBHOOK_URL),
+        defaultClock: { timeZone: STATE.settings.timeZone || SERVER_TIME_ZONE, dayStartHour: STATE.settings.dayStartHour },
+      },
+      user: publicUser(user),
+      backgroundUrl: user.backgroundUrl,
+      tasks: visibleTasks(user).map((t) => jsonTaskView(t, user)),
+    });
+    return;
+  }
+
+  // POST /api/tasks (multipart: name + thumbnail? + slug?) — thumbnailUrl (one of the account's images,
+  // see GET /api/media) instead of a thumbnail file reuses that image
+  if (req.method === 'POST' && pathname === '/api/tasks') {
+    let mp;
+    try {
+      mp = await readMultipart(req, res);
+    } catch (err) {
+      sendJson(res, 400, { error: String(err.message || err) });
+      return;
+    }
+
+    const name = String(mp.fields.name || '').trim();
+    if (!name) {
+      sendJson(res, 400, { error: 'Missing field: name' });
+      return;
+    }
+
+    const id = crypto.randomUUID();
+    const todayKey = todayKeyFor(user);
+    let slug = uniqueSlug(slugify(name), new Set(user.tasks.map((t) => t.slug)));
+    if (mp.fields.slug) {
+      const parsedSlug = parseSlugInput(mp.fields.slug, user.tasks, null);
+      if (parsedSlug.error) {
+        sendJson(res, 400, { error: parsedSlug.error });
+        return;
+      }
+      slug = parsedSlug.slug;
+    }
+
+    const settings = parseTaskSettings(
+      { ...mp.fields, schedule: scheduleInputFromFields(mp.fields) },
+      { rules: normalizeRules(DEFAULT_RULES), schedule: { type: 'daily' } },
+      todayKey,
+    );
+    if (settings.error) {
+      sendJson(res, 400, { error: settings.error });
+      return;
+    }
+
+    let thumbnailUrl = null;
+    let thumbnailVariants = {};
+
+    const file = mp.files.thumbnail;
+    if (file) {
+      const accepted = await acceptUploadedImage(file, `thumb-${id}`);
+      if (accepted.error) {
+        sendJson(res, 400, { error: `Thumbnail: ${accepted.error}` });
+        return;
+      }
+      thumbnailUrl = accepted.url;
+      thumbnailVariants = await makeThumbnailVariants(thumbnailUrl);
+    } else if (mp.fields.thumbnailUrl) {
+      const reuseError = await reuseImageError(user, mp.fields.thumbnailUrl);
+      if (reuseError) {
+        sendJson(res, 400, { error: `thumbnailUrl: ${reuseError}` });
+        return;
+      }
+      thumbnailUrl = mp.fields.thumbnailUrl;
+      thumbnailVariants = await thumbnailVariantsFor(user, thumbnailUrl);
+    }
+
+    const task = {
+      id,
+      name,
+      slug,
+      thumbnailUrl,
+      thumbnailVariants,
+      status: 'active',
+      statusBeforeTrash: null,
+      statusChangedAt: null,
+      trashedAt: null,
+      rules: settings.rules,
+      schedule: settings.schedule,
+      hopper: 0,
+      streak: 0,
+      bestStreak: 0,
+      bestStreakDayKey: null,
+      milestones: [],
+      dayKey: todayKey,
+      securedToday: false,
+      periodKey: null,
+      periodHits: 0,
+      countedPeriodKey: null,
+      freezes: 0,
+      restDays: [],
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      lastSecuredAt: null,
+      lastSecuredReason: null,
+      lastSecuredBy: null,
+      participants: [],
+      reminders: settings.reminders,
+      remindersSent: null,
+      lastFrozenAt: null,
+      lastFrozenReason: null,
+      lastFrozenDayKey: null,
+      ledger: [],
+    };
+    resetPeriod(task);
+
+    user.tasks.push(task);
+    STATE.updatedAt = Date.now();
+    await queueSave();
+    sendJson(res, 201, { task: jsonTaskView(task) });
+    return;
+  }
+
+  // POST /api/tasks/:id/add  (json: { amount, participantId?, date?, clientTime? }) — on team tasks
+  // the task owner picks who poured; other participants always log as themselves. :id may be the
+  // task's slug (as in every /api/tasks/:id route). With an Idempotency-Key header, a repeat of the
+  // same add is replayed rather than applied again. date (YYYY-MM-DD) logs it for an earlier day, at
+  // most BACKDATE_GRACE_DAYS back, and the days since are replayed (see engine.js); clientTime (ms)
+  // is when an add queued offline was made and, without a date, picks the day the same way (on the
+  // owner's clock). A day out of reach is refused with 409, code 'day-closed'.
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/add$/);
+    if (req.method === 'POST' && m) {
+      const id = m[1];
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: String(err.message || err) });
+        return;
+      }
+
+      // Mistakes are fixed through /undo or /entries/:entryId/correct, not negative adds.
+      const amount = asSafeNumber(body.amount, NaN);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        sendJson(res, 400, { error: 'amount must be a positive number (e.g. 0.1, 1.0, 5.7)' });
+        return;
+      }
+      if (amount > MAX_AMOUNT) {
+        sendJson(res, 400, { error: 'amount too large' });
+        return;
+      }
+      let clientTime = null;
+      if (body.clientTime !== undefined && body.clientTime !== null) {
+        clientTime = Number(body.clientTime);
+        if (!Number.isFinite(clientTime) || clientTime <= 0) {
+          sendJson(res, 400, { error: 'clientTime must be a time in milliseconds since 1970' });
+          return;
+        }
+        clientTime = Math.min(clientTime, Date.now()); // a device clock running fast can't log ahead
+      }
+      if (body.date !== undefined && body.date !== null && (typeof body.date !== 'string' || !DAY_KEY_RE.test(body.date))) {
+        sendJson(res, 400, { error: 'date must be formatted YYYY-MM-DD' });
+        return;
+      }
+
+      const task = findTask(visibleTasks(user), id);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
+        return;
+      }
+
+      const idempotencyKey = req.headers['idempotency-key'];
+      if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_RE.test(idempotencyKey)) {
+        sendJson(res, 400, { error: 'Idempotency-Key must be 1-200 printable characters without spaces' });
+        return;
+      }
+      const earlier = idempotencyKey ? idempotentAdd(task, idempotencyKey, user) : null;
+      if (earlier) {
+        if (earlier.amount !== amount) {
+          sendJson(res, 422, { error: 'This Idempotency-Key was already used for a different amount' });
+          return;
+        }
+        // What the add answered (a backdated add's outcome is on the replay it caused); undone: it has
+        // been undone since, so that outcome no longer holds
+        const outcome = (earlier.backdated ? task.ledger.find((e) => e.type === 'replay' && e.cause === earlier.id) : earlier) || {};
+        res.setHeader('Idempotent-Replayed', 'true');
+        sendJson(res, 200, {
+          task: jsonTaskView(task, user),
+          secured: Boolean(outcome.secured),
+          milestone: outcome.milestone || null,
+          ...(earlier.backdated ? { dayKey: earlier.dayKey } : {}),
+          replayed: true,
+          undone: effectiveAmount(task, earlier) === 0,
+        });
+        return;
+      }
+
+      if (!ensureActive(res, task)) return;
+
+      let dayKey = task.dayKey;
+      if (body.date) dayKey = body.date;
+      else if (clientTime !== null) dayKey = dayKeyAt(new Date(clientTime), clockFor(ownerOfTask(task)));
+      if (dayKey > task.dayKey) {
+        sendJson(res, 400, { error: `date can't be after today (${task.dayKey})` });
+        return;
+      }
+      let start = null;
+      if (dayKey < task.dayKey) {
+        const found = dayDiff(dayKey, task.dayKey) > BACKDATE_GRACE_DAYS
+          ? { error: `${dayKey} has rolled over: adds can be dated at most ${BACKDATE_GRACE_DAYS} days back` }
+          : replayStart(task, dayKey);
+        if (found.error) {
+          sendJson(res, 409, { error: found.error, code: 'day-closed', dayKey });
+          return;
+        }
+        start = found.start;
+      }
+
+      let participant = null;
+      if (task.participants.length) {
+        const own = participantForUser(task, user);
+        if (body.participantId !== undefined && body.participantId !== (own && own.id)) {
+          if (!user.tasks.includes(task)) {
+            sendJson(res, 403, { error: 'You can only log your own contributions' });
+            return;
+          }
+          participant = task.participants.find((p) => p.id === body.participantId) || null;
+          if (!participant) {
+            sendJson(res, 400, { error: 'Unknown participantId' });
+            return;
+          }
+        } else {
+          participant = own;
+        }
+        if (!participant) {
+          sendJson(res, 400, { error: 'participantId is required: say who poured' });
+          return;
+        }
+      }
+
+      const fields = {
+        ...(participant ? { participantId: participant.id } : {}),
+        ...(idempotencyKey ? { idempotencyKey, idempotencyUserId: user.id } : {}),
+        ...(clientTime !== null ? { clientTime } : {}),
+      };
+      const out = start ? addBackdated(task, start, amount, fields) : addToToday(task, amount, fields);
+      task.updatedAt = Date.now();
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      sendJson(res, 200, {
+        task: jsonTaskView(task, user),
+        secured: out.secured,
+        milestone: out.milestone,
+        ...(start ? { dayKey: out.dayKey } : {}),
+      });
+      return;
+    }
+  }
+
+  // POST /api/tasks/:id/undo  (json: { count? }) — undoes the last `count` (default 1) of today's adds
+  // (on a team task shared with you: of your own adds)
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/undo$/);
+    if (req.method === 'POST' && m) {
+      const id = m[1];
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: String(err.message || err) });
+        return;
+      }
+
+      const count = body.count === undefined ? 1 : Number(body.count);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_UNDO) {
+        sendJson(res, 400, { error: `count must be a whole number from 1 to ${MAX_UNDO}` });
+        return;
+      }
+
+      const task = findTask(visibleTasks(user), id);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
+        return;
+      }
+      if (!ensureActive(res, task)) return;
+
+      const own = user.tasks.includes(task) ? null : participantForUser(task, user);
+      const today = currentDayKeys(task);
+      const targets = task.ledger
+        .filter((e) => e.type === 'add' && today.has(e.dayKey) && effectiveAmount(task, e) !== 0)
+        .filter((e) => !own || e.participantId === own.id)
+        .slice(-count)
+        .reverse();
+      if (!targets.length) {
+        sendJson(res, 409, { error: 'Nothing to undo today' });
+        return;
+      }
+
+      const corrections = targets.map((e) => correctAddEntry(task, e, 0, 'undo'));
+      syncParticipantStreaks(task);
+      task.updatedAt = Date.now();
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      sendJson(res, 200, {
+        task: jsonTaskView(task, user),
+        undone: targets.map((e) => e.id),
+        unsecured: corrections.some((c) => c && c.unsecured),
+      });
+      return;
+    }
+  }
+
+  // POST /api/tasks/:id/entries/:entryId/correct  (json: { amount }) — sets what one of today's adds counts for
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/entries\/([^\/]+)\/correct$/);
+    if (req.method === 'POST' && m) {
+      const id = m[1];
+      const entryId = m[2];
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: String(err.message || err) });
+        return;
+      }
+
+      const amount = asSafeNumber(body.amount, NaN);
+      if (!Number.isFinite(amount) || amount < 0 || amount > MAX_AMOUNT) {
+        sendJson(res, 400, { error: 'amount must be a number >= 0 (0 removes the entry)' });
+        return;
+      }
+
+      const task = findTask(visibleTasks(user), id);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
+        return;
+      }
+      if (!ensureActive(res, task)) return;
+      const own = user.tasks.includes(task) ? null : participantForUser(task, user);
+      const entry = task.ledger.find((e) => e.id === entryId && e.type === 'add' && (!own || e.participantId === own.id));
+      if (!entry) {
+        sendJson(res, 404, { error: 'Entry not found' });
+        return;
+      }
+      if (!currentDayKeys(task).has(entry.dayKey)) {
+        sendJson(res, 409, { error: 'Only entries from the current day can be corrected' });
+        return;
+      }
+
+      const correction = correctAddEntry(task, entry, amount, 'correct');
+      if (correction) {
+        syncParticipantStreaks(task);
+        task.updatedAt = Date.now();
+        STATE.updatedAt = Date.now();
+        await queueSave();
+      }
+      sendJson(res, 200, {
+        task: jsonTaskView(task, user),
+        correction,
+        unsecured: Boolean(correction && correction.unsecured),
+        secured: Boolean(correction && correction.secured),
+      });
+      return;
+    }
+  }
+
+  // GET /api/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD  (defaults to the last year)
+  if (req.method === 'GET' && pathname === '/api/calendar') {
+    const today = todayKeyFor(user);
+    const to = query.get('to') || today;
+    const from = query.get('from') || addDaysKey(to, -(CALENDAR_DEFAULT_DAYS - 1));
+    if (!DAY_KEY_RE.test(from) || !DAY_KEY_RE.test(to)) {
+      sendJson(res, 400, { error: 'from/to must be dates formatted YYYY-MM-DD' });
+      return;
+    }
+
+    const tasks = visibleTasks(user).map((t) => ({ id: t.id, status: t.status, threshold: t.rules.threshold, days: dailyTotals(t, from, to) }));
+    sendJson(res, 200, {
+      from,
+      to,
+      today,
+      tasks,
+      // Only what the main grid shows: archived and trashed tasks are left out.
+      all: aggregateDailyTotals(tasks.filter((t) => t.status === 'active' || t.status === 'paused')),
+    });
+    return;
+  }
+
+  // GET /api/stats — per-task stats plus totals over the tasks the main grid shows
+  if (req.method === 'GET' && pathname === '/api/stats') {
+    const tasks = visibleTasks(user).map(taskStats);
+    const counted = tasks.filter((t) => t.status === 'active' || t.status === 'paused');
+    const sum = (key) => counted.reduce((n, t) => n + t[key], 0);
+    const decided = sum('securedDays') + sum('missedDays') + sum('frozenDays');
+    sendJson(res, 200, {
+      today: todayKeyFor(user),
+      milestones: MILESTONES,
+      tasks,
+      totals: {
+        tasks: counted.length,
+        securedDays: sum('securedDays'),
+        missedDays: sum('missedDays'),
+        frozenDays: sum('frozenDays'),
+        completionRate: decided ? roundTo(sum('securedDays') / decided, 4) : null,
+        totalPoured: roundTo(sum('totalPoured')),
+        bestStreak: counted.reduce((n, t) => Math.max(n, t.bestStreak), 0),
+        milestonesReached: counted.reduce((n, t) => n + t.milestones.length, 0),
+      },
+    });
+    return;
+  }
+
+  // POST /api/tasks/:id/freezes  (json: { delta }) — grant (or take back) freezes by hand, within freezeMax
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/freezes$/);
+    if (req.method === 'POST' && m) {
+      const id = m[1];
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: String(err.message || err) });
+        return;
+      }
+
+      const delta = Number(body.delta);
+      if (!Number.isInteger(delta) || delta === 0) {
+        sendJson(res, 400, { error: 'delta must be a non-zero whole number' });
+        return;
+      }
+
+      const task = findTask(user.tasks, id);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
+        return;
+      }
+
+      const next = Math.max(0, Math.min(task.rules.freezeMax, task.freezes + delta));
+      if (next !== task.freezes) {
+        task.freezes = next;
+        appendLedger(task, { type: 'freeze', action: delta > 0 ? 'granted' : 'revoked', dayKey: task.dayKey, freezesAfter: next });
+        task.updatedAt = Date.now();
+        STATE.updatedAt = Date.now();
+        await queueSave();
+      }
+      sendJson(res, 200, { task: jsonTaskView(task) });
+      return;
+    }
+  }
+
+  // POST /api/tasks/:id/rest-days  (json: { date: YYYY-MM-DD }) — spends one freeze
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/rest-days$/);
+    if (req.method === 'POST' && m) {
+      const id = m[1];
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: String(err.message || err) });
+        return;
+      }
+
+      const task = findTask(user.tasks, id);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
+        return;
+      }
+      if (!ensureActive(res, task)) return;
+
+      const date = typeof body.date === 'string' ? body.date : '';
+      if (!DAY_KEY_RE.test(date)) {
+        sendJson(res, 400, { error: 'date must be formatted YYYY-MM-DD' });
+        return;
+      }
+      if (date < task.dayKey || dayDiff(task.dayKey, date) > REST_DAY_HORIZON_DAYS) {
+        sendJson(res, 400, { error: `Rest days can be booked from today up to ${REST_DAY_HORIZON_DAYS} days ahead` });
+        return;
+      }
+      if (isRestDay(task, date)) {
+        sendJson(res, 409, { error: 'That day is already a rest day' });
+        return;
+      }
+      if (!isScheduledDay(task, date)) {
+        sendJson(res, 400, { error: 'That day is not scheduled for this task' });
+        return;
+      }
+      if (date === task.dayKey && task.securedToday) {
+        sendJson(res, 409, { error: 'Today is already secured' });
+        return;
+      }
+      if (task.freezes < 1) {
+        sendJson(res, 409, { error: 'No freezes left to book a rest day' });
+        return;
+      }
 
-  // GET /api/state
-  if (req.method === 'GET' && pathname === '/api/state') {
-    sendJson(res, 200, {
-      now: Date.now(),
-      today: localDateKey(),
-      config: {
-        dailyThreshold: DAILY_THRESHOLD,
-        dailyDecayMultiplier: DAILY_DECAY_MULTIPLIER,
-      },
-      backgroundUrl: STATE.backgroundUrl,
-      tasks: STATE.tasks.map(jsonTaskView),
-    });
-    return;
+      bookRestDay(task, date);
+      task.updatedAt = Date.now();
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      sendJson(res, 200, { task: jsonTaskView(task) });
+      return;
+    }
   }
 
-  // POST /api/tasks (multipart: name + thumbnail?)
-  if (req.method === 'POST' && pathname === '/api/tasks') {
-    let mp;
-    try {
-      mp = await readMultipart(req);
-    } catch (err) {
-      sendJson(res, 400, { error: String(err.message || err) });
+  // DELETE /api/tasks/:id/rest-days/:date — cancels a booked rest day that hasn't passed, refunding the freeze
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/rest-days\/(\d{4}-\d{2}-\d{2})$/);
+    if (req.method === 'DELETE' && m) {
+      const id = m[1];
+      const date = m[2];
+      const task = findTask(user.tasks, id);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
+        return;
+      }
+      if (!ensureActive(res, task)) return;
+      if (!isRestDay(task, date) || date < task.dayKey) {
+        sendJson(res, 404, { error: 'No upcoming rest day booked on that date' });
+        return;
+      }
+
+      cancelRestDay(task, date);
+      task.updatedAt = Date.now();
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      sendJson(res, 200, { task: jsonTaskView(task) });
       return;
     }
+  }
 
-    const name = String(mp.fields.name || '').trim();
-    if (!name) {
-      sendJson(res, 400, { error: 'Missing field: name' });
+  // GET /api/tasks/:id/history?from=YYYY-MM-DD&to=YYYY-MM-DD  (both bounds optional, inclusive)
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/history$/);
+    if (req.method === 'GET' && m) {
+      const id = m[1];
+      const task = findTask(visibleTasks(user), id);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
+        return;
+      }
+
+      const from = query.get('from') || null;
+      const to = query.get('to') || null;
+      if ((from && !DAY_KEY_RE.test(from)) || (to && !DAY_KEY_RE.test(to))) {
+        sendJson(res, 400, { error: 'from/to must be dates formatted YYYY-MM-DD' });
+        return;
+      }
+
+      const entries = task.ledger.filter((e) => (!from || e.dayKey >= from) && (!to || e.dayKey <= to));
+      sendJson(res, 200, { taskId: task.id, from, to, entries });
       return;
     }
+  }
 
-    const id = crypto.randomUUID();
-    const todayKey = localDateKey();
-
-    let thumbnailUrl = null;
+  // GET /api/tasks/:id/stats
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/stats$/);
+    if (req.method === 'GET' && m) {
+      const task = findTask(visibleTasks(user), m[1]);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
+        return;
+      }
+      sendJson(res, 200, { milestones: MILESTONES, stats: taskStats(task) });
+      return;
+    }
+  }
 
-    const file = mp.files.thumbnail;
-    if (file) {
-      if (!isLikelyImageMime(file.mime)) {
-        sendJson(res, 400, { error: 'Thumbnail must be an image' });
+  // GET /api/tasks/:id/leaderboard — participants ranked by current streak, then best streak, then total poured
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/leaderboard$/);
+    if (req.method === 'GET' && m) {
+      const task = findTask(visibleTasks(user), m[1]);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
         return;
       }
-      const ext = safeExt(file.originalName, file.mime);
-      const filename = `thumb-${id}-${Date.now()}${ext}`;
-      const outPath = path.join(UPLOAD_DIR, filename);
-      await fsp.writeFile(outPath, file.data);
-      thumbnailUrl = `/uploads/${filename}`;
+      const ranked = teamView(task).sort((a, b) => (b.streak - a.streak) || (b.bestStreak - a.bestStreak) || (b.total - a.total));
+      sendJson(res, 200, {
+        taskId: task.id,
+        dayKey: task.dayKey,
+        periodKey: task.periodKey,
+        teamStreak: task.streak,
+        participants: ranked.map((p, i) => ({ rank: i + 1, ...p })),
+      });
+      return;
     }
+  }
 
-    const task = {
-      id,
-      name,
-      thumbnailUrl,
-      hopper: 0,
-      streak: 0,
-      dayKey: todayKey,
-      securedToday: false,
-      createdAt: Date.now(),
-      updatedAt: Date.now(),
-      lastSecuredAt: null,
-      lastSecuredReason: null,
-    };
+  // POST /api/tasks/:id/participants  (json: { name, username? }) — username links an account, which
+  // then sees the task and logs as this participant
+  // PATCH /api/tasks/:id/participants/:participantId  (json: { name?, username? })  (username null unlinks)
+  // DELETE /api/tasks/:id/participants/:participantId — their past adds stay in the ledger
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/participants(?:\/([^\/]+))?$/);
+    const method = req.method;
+    if (m && ((method === 'POST' && !m[2]) || ((method === 'PATCH' || method === 'DELETE') && m[2]))) {
+      const task = findTask(user.tasks, m[1]);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
+        return;
+      }
+      if (task.status === 'trashed') {
+        sendJson(res, 409, { error: 'Task is in the trash; restore it first' });
+        return;
+      }
+      const participant = m[2] ? task.participants.find((p) => p.id === m[2]) : null;
+      if (m[2] && !participant) {
+        sendJson(res, 404, { error: 'Participant not found' });
+        return;
+      }
 
-    STATE.tasks.push(task);
-    STATE.updatedAt = Date.now();
-    await queueSave();
-    sendJson(res, 201, { task: jsonTaskView(task) });
-    return;
+      if (method === 'DELETE') {
+        task.participants = task.participants.filter((p) => p !== participant);
+      } else {
+        let input;
+        try {
+          input = await readJson(req);
+        } catch (err) {
+          sendJson(res, 400, { error: String(err.message || err) });
+          return;
+        }
+
+        let name = participant ? participant.name : null;
+        if (input.name !== undefined || !participant) {
+          name = String(input.name || '').trim();
+          if (!name || name.length > 80) {
+            sendJson(res, 400, { error: 'name is required (up to 80 characters)' });
+            return;
+          }
+        }
+        let userId = participant ? participant.userId : null;
+        if (input.username !== undefined) {
+          userId = null;
+          if (input.username !== null && input.username !== '') {
+            const linked = STATE.users.find((u) => u.username === String(input.username).trim().toLowerCase());
+            if (!linked) {
+              sendJson(res, 400, { error: 'No account with that username' });
+              return;
+            }
+            userId = linked.id;
+          }
+        }
+        if (task.participants.some((p) => p !== participant && p.name.toLowerCase() === name.toLowerCase())) {
+          sendJson(res, 409, { error: 'A participant with that name already exists' });
+          return;
+        }
+        if (userId && task.participants.some((p) => p !== participant && p.userId === userId)) {
+          sendJson(res, 409, { error: 'That account is already a participant' });
+          return;
+        }
+        if (!participant && task.participants.length >= MAX_PARTICIPANTS) {
+          sendJson(res, 409, { error: `A task can have at most ${MAX_PARTICIPANTS} participants` });
+          return;
+        }
+
+        if (participant) {
+          participant.name = name;
+          participant.userId = userId;
+        } else {
+          task.participants.push(normalizeParticipant({ id: crypto.randomUUID(), name, userId, joinedAt: Date.now() }));
+        }
+      }
+
+      task.updatedAt = Date.now();
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      sendJson(res, method === 'POST' ? 201 : 200, { task: jsonTaskView(task, user) });
+      return;
+    }
   }
 
-  // POST /api/tasks/:id/add  (json: { amount })
+  // PATCH /api/tasks/:id
+  //   json or multipart: { name?, slug?, thumbnail? (file, multipart only), thumbnailUrl? (reuse one of
+  //   the account's images), removeThumbnail?,
+  //   threshold?, decayMode?, decayValue?, carryCap?, freezeEvery?, freezeMax?,
+  //   schedule? (json) | scheduleType/scheduleDays/scheduleTimes/scheduleWindow (multipart),
+  //   reminders? (["21:00", ...] json | "21:00,22:30" multipart) }
+  // PATCH /api/tasks/:id/settings — the same (the route the rules had before tasks could be edited)
   {
-    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/add$/);
-    if (req.method === 'POST' && m) {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)(?:\/settings)?$/);
+    if (req.method === 'PATCH' && m) {
       const id = m[1];
-      let body;
+      let input;
+      let file = null;
       try {
-        body = await readJson(req);
+        if (isMultipartRequest(req)) {
+          const mp = await readMultipart(req, res);
+          input = { ...mp.fields, schedule: scheduleInputFromFields(mp.fields) };
+          file = mp.files.thumbnail || null;
+        } else {
+          input = await readJson(req);
+        }
       } catch (err) {
         sendJson(res, 400, { error: String(err.message || err) });
         return;
       }
 
-      const amount = asSafeNumber(body.amount, NaN);
-      // if (!Number.isFinite(amount) || amount <= 0) {
-      //   sendJson(res, 400, { error: 'amount must be a positive number (e.g. 0.1, 1.0, 5.7)' });
-      //   return;
-      // }
-      if (amount > 1_000_000) {
-        sendJson(res, 400, { error: 'amount too large' });
+      const task = findTask(user.tasks, id);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
         return;
       }
 
-      const task = STATE.tasks.find((t) => t.id === id);
-      if (!task) {
-        sendJson(res, 404, { error: 'Task not found' });
+      if (task.status === 'trashed') {
+        sendJson(res, 409, { error: 'Task is in the trash; restore it first' });
         return;
       }
 
-      task.hopper = roundTo(task.hopper + amount);
-      task.updatedAt = Date.now();
+      let name = null;
+      if (input.name !== undefined) {
+        name = String(input.name || '').trim();
+        if (!name) {
+          sendJson(res, 400, { error: 'name cannot be empty' });
+          return;
+        }
+      }
+
+      let slug = null;
+      if (input.slug !== undefined) {
+        const parsedSlug = parseSlugInput(input.slug, user.tasks, task);
+        if (parsedSlug.error) {
+          sendJson(res, 400, { error: parsedSlug.error });
+          return;
+        }
+        slug = parsedSlug.slug;
+      }
+
+      const settings = parseTaskSettings(input, task, task.dayKey);
+      if (settings.error) {
+        sendJson(res, 400, { error: settings.error });
+        return;
+      }
+
+      let accepted = null;
+      if (file) {
+        accepted = await acceptUploadedImage(file, `thumb-${task.id}`);
+        if (accepted.error) {
+          sendJson(res, 400, { error: `Thumbnail: ${accepted.error}` });
+          return;
+        }
+      }
+      const reuseUrl = !file && input.thumbnailUrl && input.thumbnailUrl !== task.thumbnailUrl ? input.thumbnailUrl : null;
+      if (reuseUrl) {
+        const reuseError = await reuseImageError(user, reuseUrl);
+        if (reuseError) {
+          sendJson(res, 400, { error: `thumbnailUrl: ${reuseError}` });
+          return;
+        }
+      }
+      const removeThumbnail = input.removeThumbnail === true || input.removeThumbnail === 'true' || input.removeThumbnail === '1';
+
+      const changes = [];
+      const oldThumbnailUrl = task.thumbnailUrl;
+      const oldThumbnailUrls = taskUploadUrls(task);
+      if (accepted) {
+        task.thumbnailUrl = accepted.url;
+        task.thumbnailVariants = await makeThumbnailVariants(accepted.url);
+      } else if (reuseUrl) {
+        task.thumbnailVariants = await thumbnailVariantsFor(user, reuseUrl);
+        task.thumbnailUrl = reuseUrl;
+      } else if (removeThumbnail) {
+        task.thumbnailUrl = null;
+        task.thumbnailVariants = {};
+      }
+      if (task.thumbnailUrl !== oldThumbnailUrl) changes.push('thumbnail');
 
-      const secured = trySecureToday(task, 'add');
-      if (secured) task.updatedAt = Date.now();
+      if (name !== null && name !== task.name) {
+        changes.push('name');
+        task.name = name;
+      }
+      if (slug !== null && slug !== task.slug) {
+        changes.push('slug');
+        task.slug = slug;
+      }
+
+      if (JSON.stringify(settings.rules) !== JSON.stringify(task.rules)) changes.push('rules');
+      if (JSON.stringify(settings.schedule) !== JSON.stringify(task.schedule)) changes.push('schedule');
+      if (JSON.stringify(settings.reminders) !== JSON.stringify(task.reminders)) changes.push('reminders');
+      task.rules = settings.rules;
+      task.schedule = settings.schedule;
+      task.reminders = settings.reminders;
+      task.freezes = Math.min(task.freezes, task.rules.freezeMax);
+      const oldPeriodKey = task.periodKey;
+      resetPeriod(task);
+      // a period that was already counted for a participant stays counted under its new key
+      for (const p of task.participants) if (p.countedPeriodKey === oldPeriodKey) p.countedPeriodKey = task.periodKey;
+      syncParticipantStreaks(task);
+      // A lowered threshold (or today becoming a scheduled day) may already be met by today's hopper.
+      const snap = secureSnapshot(task);
+      const secured = trySecureToday(task, 'settings');
+
+      if (changes.length || secured) {
+        appendLedger(task, {
+          type: 'edit',
+          dayKey: task.dayKey,
+          changes,
+          rules: task.rules,
+          schedule: task.schedule,
+          secured,
+          ...(secured ? { secureSnapshot: secureRecord(task, snap) } : {}),
+        });
+      }
 
+      // Best-effort delete of the replaced/removed thumbnail
+      if (task.thumbnailUrl !== oldThumbnailUrl) await releaseUploads(oldThumbnailUrls);
+
+      task.updatedAt = Date.now();
       STATE.updatedAt = Date.now();
       await queueSave();
       sendJson(res, 200, { task: jsonTaskView(task), secured });
@@ -586,89 +3370,289 @@ async function handleApi(req, res, pathname) {
     }
   }
 
-  // DELETE /api/tasks/:id
+  // POST /api/tasks/:id/(pause|resume|archive|restore)
   {
-    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)$/);
-    if (req.method === 'DELETE' && m) {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)\/(pause|resume|archive|restore)$/);
+    if (req.method === 'POST' && m) {
       const id = m[1];
-      const idx = STATE.tasks.findIndex((t) => t.id === id);
-      if (idx === -1) {
+      const action = STATUS_ACTIONS[m[2]];
+      const task = findTask(user.tasks, id);
+      if (!task) {
         sendJson(res, 404, { error: 'Task not found' });
         return;
       }
-      const [task] = STATE.tasks.splice(idx, 1);
-
-      // Best-effort delete thumbnail
-      await safeUnlink(uploadsFilePathFromUrl(task.thumbnailUrl));
+      if (!action.from.includes(task.status)) {
+        sendJson(res, 409, { error: `Cannot ${m[2]} a task that is ${task.status}` });
+        return;
+      }
 
+      const to = action.to || (task.status === 'trashed' ? (task.statusBeforeTrash || 'active') : 'active');
+      setTaskStatus(task, to);
+      task.updatedAt = Date.now();
       STATE.updatedAt = Date.now();
       await queueSave();
-      sendJson(res, 200, { ok: true });
+      sendJson(res, 200, { task: jsonTaskView(task) });
       return;
     }
   }
 
-  // POST /api/background (multipart: background image)
-  if (req.method === 'POST' && pathname === '/api/background') {
-    let mp;
-    try {
-      mp = await readMultipart(req);
-    } catch (err) {
-      sendJson(res, 400, { error: String(err.message || err) });
+  // DELETE /api/tasks/:id — moves the task to the trash; it is purged after TRASH_RETENTION_DAYS
+  {
+    const m = matchRoute(pathname, /^\/api\/tasks\/([^\/]+)$/);
+    if (req.method === 'DELETE' && m) {
+      const id = m[1];
+      const task = findTask(user.tasks, id);
+      if (!task) {
+        sendJson(res, 404, { error: 'Task not found' });
+        return;
+      }
+      if (task.status === 'trashed') {
+        sendJson(res, 409, { error: 'Task is already in the trash' });
+        return;
+      }
+
+      setTaskStatus(task, 'trashed');
+      task.updatedAt = Date.now();
+      STATE.updatedAt = Date.now();
+      await queueSave();
+      sendJson(res, 200, { ok: true, task: jsonTaskView(task) });
       return;
     }
+  }
 
-    const file = mp.files.background;
-    if (!file) {
-      sendJson(res, 400, { error: 'Missing file field: background' });
+  // GET /api/media?scope=account|instance — the account's images (instance, for admins: every file in
+  // uploads/, unlinked ones included) with size, resized variants and the tasks or backgrounds using them
+  if (req.method === 'GET' && pathname === '/api/media') {
+    const scope = query.get('scope') || 'account';
+    if (!EXPORT_SCOPES.includes(scope)) {
+      sendJson(res, 400, { error: `scope must be one of: ${EXPORT_SCOPES.join(', ')}` });
       return;
     }
-    if (!isLikelyImageMime(file.mime)) {
-      sendJson(res, 400, { error: 'Background must be an image' });
+    if (scope === 'instance' && !user.isAdmin) {
+      sendJson(res, 403, { error: 'Admins only' });
       return;
     }
+    const media = scope === 'instance' ? await listMedia(taskOwners(), { withUnlinked: true }) : await listMedia([user]);
+    const totalBytes = media.reduce((n, m) => n + (m.size || 0) + Object.values(m.variants).reduce((v, x) => v + (x.size || 0), 0), 0);
+    sendJson(res, 200, { scope, media, totalBytes });
+    return;
+  }
+
+  // POST /api/background (multipart: background image | json: { backgroundUrl } to reuse one of the
+  // account's images, see GET /api/media)
+  if (req.method === 'POST' && pathname === '/api/background') {
+    let backgroundUrl;
+    if (isMultipartRequest(req)) {
+      let mp;
+      try {
+        mp = await readMultipart(req, res);
+      } catch (err) {
+        sendJson(res, 400, { error: String(err.message || err) });
+        return;
+      }
 
-    const ext = safeExt(file.originalName, file.mime);
-    const filename = `background-${Date.now()}-${crypto.randomUUID()}${ext}`;
-    const outPath = path.join(UPLOAD_DIR, filename);
-    await fsp.writeFile(outPath, file.data);
+      const file = mp.files.background;
+      if (!file) {
+        sendJson(res, 400, { error: 'Missing file field: background' });
+        return;
+      }
+      // shown full-page, so kept as uploaded (no variants)
+      const accepted = await acceptUploadedImage(file, 'background');
+      if (accepted.error) {
+        sendJson(res, 400, { error: `Background: ${accepted.error}` });
+        return;
+      }
+      backgroundUrl = accepted.url;
+    } else {
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: String(err.message || err) });
+        return;
+      }
+      const reuseError = await reuseImageError(user, body.backgroundUrl);
+      if (reuseError) {
+        sendJson(res, 400, { error: `backgroundUrl: ${reuseError}` });
+        return;
+      }
+      backgroundUrl = body.backgroundUrl;
+    }
 
     // delete previous background (best effort)
-    await safeUnlink(uploadsFilePathFromUrl(STATE.backgroundUrl));
-    STATE.backgroundUrl = `/uploads/${filename}`;
+    const oldBackgroundUrl = user.backgroundUrl;
+    user.backgroundUrl = backgroundUrl;
+    await releaseUploads([oldBackgroundUrl]);
     STATE.updatedAt = Date.now();
 
     await queueSave();
-    sendJson(res, 200, { backgroundUrl: STATE.backgroundUrl });
+    sendJson(res, 200, { backgroundUrl: user.backgroundUrl });
     return;
   }
 
   // POST /api/background/clear
   if (req.method === 'POST' && pathname === '/api/background/clear') {
-    await safeUnlink(uploadsFilePathFromUrl(STATE.backgroundUrl));
-    STATE.backgroundUrl = null;
+    const oldBackgroundUrl = user.backgroundUrl;
+    user.backgroundUrl = null;
+    await releaseUploads([oldBackgroundUrl]);
     STATE.updatedAt = Date.now();
     await queueSave();
     sendJson(res, 200, { backgroundUrl: null });
     return;
   }
 
-  sendJson(res, 404, { error: 'Unknown API route' });
-}
+  // GET /api/export?scope=account|instance — instance (every account) is for admins
+  if (req.method === 'GET' && pathname === '/api/export') {
+    const scope = query.get('scope') || 'account';
+    if (!EXPORT_SCOPES.includes(scope)) {
+      sendJson(res, 400, { error: `scope must be one of: ${EXPORT_SCOPES.join(', ')}` });
+      return;
+    }
+    if (scope === 'instance' && !user.isAdmin) {
+      sendJson(res, 403, { error: 'Admins only' });
+      return;
+    }
+    const bundle = await buildExport(user, scope);
+    const filename = `streaks-${scope === 'instance' ? 'instance' : user.username}-${todayKeyFor(user)}.json`;
+    res.writeHead(200, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    res.end(JSON.stringify(bundle));
+    return;
+  }
 
-async function handleRequest(req, res) {
-  // Basic CORS for convenience if you ever open index.html directly (optional)
-  // (When served from this server, it isn't needed.)
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // POST /api/import?mode=merge|replace  (json: an export bundle)
+  // Account bundles go into the signed-in account: merge adds their tasks (and the background if there
+  // is none), replace swaps the account's tasks, background and clock for the bundle's. Instance
+  // bundles (admins only): merge adds unknown accounts and merges tasks into same-named ones, replace
+  // swaps every account and the instance settings (sessions of accounts that remain stay signed in).
+  if (req.method === 'POST' && pathname === '/api/import') {
+    const mode = query.get('mode') || 'merge';
+    if (!IMPORT_MODES.includes(mode)) {
+      sendJson(res, 400, { error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+      return;
+    }
+    let parsed;
+    try {
+      parsed = parseImportBundle(await readJson(req, MAX_IMPORT_BYTES));
+    } catch (err) {
+      sendJson(res, 400, { error: String(err.message || err) });
+      return;
+    }
+    if (parsed.error) {
+      sendJson(res, 400, { error: parsed.error });
+      return;
+    }
+    if (parsed.scope === 'instance' && !user.isAdmin) {
+      sendJson(res, 403, { error: 'Only admins can import an instance bundle' });
+      return;
+    }
 
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
+    if (mode === 'replace') await queueSnapshot('pre-import');
+    const uploadsBefore = referencedUploads(taskOwners());
+    // an identical file already here is linked again, unless someone else's data links to it
+    const foreign = parsed.scope === 'instance' ? new Set() : referencedUploads(taskOwners().filter((o) => o !== user));
+    const fileUrls = await storeImportedFiles(parsed.files, (url) => !foreign.has(url));
+    const storedUrl = (url) => (url ? fileUrls.get(url) || null : null);
+    const now = Date.now();
+    let remappedTasks = [];
+    let tasks = 0;
+    let users = 0;
+
+    if (parsed.scope === 'account') {
+      const incoming = parsed.state.legacy || { tasks: [], backgroundUrl: null };
+      const userIds = new Map(STATE.users.map((u) => [u.id, u.id]));
+      const others = taskOwners().filter((o) => o !== user || mode === 'merge');
+      const taken = new Set(others.flatMap((o) => o.tasks.map((t) => t.id)));
+      remappedTasks = adoptImportedTasks(incoming.tasks, taken, fileUrls, userIds);
+      tasks = incoming.tasks.length;
+      if (mode === 'replace') {
+        user.tasks = incoming.tasks;
+        user.backgroundUrl = storedUrl(incoming.backgroundUrl);
+        user.settings = parsed.settings;
+      } else {
+        user.tasks.push(...incoming.tasks);
+        if (!user.backgroundUrl) user.backgroundUrl = storedUrl(incoming.backgroundUrl);
+      }
+      user.updatedAt = now;
+    } else if (mode === 'replace') {
+      const incoming = parsed.state;
+      const userIds = new Map(incoming.users.map((u) => [u.id, u.id]));
+      const taken = new Set();
+      for (const owner of incoming.legacy ? [...incoming.users, incoming.legacy] : incoming.users) {
+        remappedTasks.push(...adoptImportedTasks(owner.tasks, taken, fileUrls, userIds));
+        owner.backgroundUrl = storedUrl(owner.backgroundUrl);
+        tasks += owner.tasks.length;
+      }
+      STATE.users = incoming.users;
+      STATE.settings = incoming.settings;
+      STATE.legacy = incoming.legacy;
+      STATE.sessions = STATE.sessions.filter((s) => STATE.users.some((u) => u.id === s.userId));
+      users = incoming.users.length;
+    } else {
+      // Accounts are matched by username; new ones keep their id unless it is taken.
+      const incoming = parsed.state;
+      const userIds = new Map(STATE.users.map((u) => [u.id, u.id]));
+      const targets = new Map();
+      for (const u of incoming.users) {
+        const existing = STATE.users.find((x) => x.username === u.username);
+        const bundleId = u.id;
+        if (!existing && STATE.users.some((x) => x.id === u.id)) u.id = crypto.randomUUID();
+        userIds.set(bundleId, (existing || u).id);
+        targets.set(u, existing || null);
+      }
+
+      const taken = new Set(taskOwners().flatMap((o) => o.tasks.map((t) => t.id)));
+      for (const [u, existing] of targets) {
+        remappedTasks.push(...adoptImportedTasks(u.tasks, taken, fileUrls, userIds));
+        tasks += u.tasks.length;
+        if (existing) {
+          existing.tasks.push(...u.tasks);
+          if (!existing.backgroundUrl) existing.backgroundUrl = storedUrl(u.backgroundUrl);
+          existing.updatedAt = now;
+        } else {
+          u.backgroundUrl = storedUrl(u.backgroundUrl);
+          STATE.users.push(u);
+          users += 1;
+        }
+      }
+      if (parsed.state.legacy) {
+        // unclaimed version 1 data in the bundle goes to the importing admin
+        remappedTasks.push(...adoptImportedTasks(parsed.state.legacy.tasks, taken, fileUrls, userIds));
+        tasks += parsed.state.legacy.tasks.length;
+        user.tasks.push(...parsed.state.legacy.tasks);
+      }
+    }
+
+    for (const owner of taskOwners()) {
+      assignSlugs(owner.tasks);
+      await backfillThumbnailVariants(owner.tasks); // bundles from before variants, or without them
+    }
+    processAllToToday();
+    // uploads that nothing links to any more (replaced tasks and backgrounds, unused bundle files)
+    const uploadsAfter = referencedUploads(taskOwners());
+    for (const url of new Set([...uploadsBefore, ...fileUrls.values()])) {
+      if (!uploadsAfter.has(url)) await safeUnlink(uploadsFilePathFromUrl(url));
+    }
+    STATE.updatedAt = now;
+    await queueSave();
+    sendJson(res, 200, {
+      scope: parsed.scope,
+      mode,
+      imported: { tasks, users, files: fileUrls.size },
+      remappedTasks,
+      remappedFiles: [...fileUrls].filter(([from, to]) => from !== to).map(([from, to]) => ({ from, to })),
+    });
     return;
   }
 
+  sendJson(res, 404, { error: 'Unknown API route' });
+}
+
+async function handleRequest(req, res) {
+  // No CORS headers: the API is cookie-authenticated and only meant for the page served from here.
   let urlObj;
   try {
     urlObj = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
@@ -681,7 +3665,7 @@ async function handleRequest(req, res) {
 
   // API
   if (pathname.startsWith('/api/')) {
-    await handleApi(req, res, pathname);
+    await handleApi(req, res, pathname, urlObj.searchParams);
     return;
   }
 
@@ -691,6 +3675,18 @@ async function handleRequest(req, res) {
     return;
   }
 
+  // Static: service worker (served from the root so it controls the whole page)
+  if (req.method === 'GET' && pathname === '/sw.js') {
+    await serveFile(res, SW_JS_PATH, { 'Cache-Control': 'no-cache' });
+    return;
+  }
+
+  // Static: web app manifest and its icons
+  if (req.method === 'GET' && APP_FILES.includes(pathname)) {
+    await serveFile(res, path.join(ROOT_DIR, pathname.slice(1)), { 'Cache-Control': 'no-cache' });
+    return;
+  }
+
   // Static: uploads
   if (req.method === 'GET' && pathname.startsWith('/uploads/')) {
     const base = path.basename(pathname); // prevents directory traversal
@@ -700,7 +3696,18 @@ async function handleRequest(req, res) {
       sendText(res, 400, 'Bad path');
       return;
     }
-    await serveFile(res, filePath);
+    // Only images the account sees (its own, and those of team tasks shared with it); anything else
+    // looks like it doesn't exist.
+    const auth = sessionFromRequest(req);
+    if (!auth || !userCanSeeUpload(auth.user, `/uploads/${base}`)) {
+      sendText(res, 404, 'Not found');
+      return;
+    }
+    // Uploads from before they were sniffed may still be SVG: opened directly, it can't run script.
+    await serveFile(res, filePath, {
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+      'X-Content-Type-Options': 'nosniff',
+    });
     return;
   }
 
@@ -716,25 +3723,76 @@ async function handleRequest(req, res) {
 
 async function ensureDirs() {
   await fsp.mkdir(UPLOAD_DIR, { recursive: true });
+  await fsp.mkdir(INCOMING_DIR, { recursive: true });
+  await fsp.mkdir(QUARANTINE_DIR, { recursive: true });
+}
+
+// node server.js migrate-storage <to> [--from <backend>] [--force]
+// Copies the state from one backend to another (the server must not be running). The source is left
+// as it was; --force overwrites data the target backend already has.
+async function migrateStorage(args) {
+  const to = args[0];
+  const fromIdx = args.indexOf('--from');
+  const from = fromIdx === -1 ? STORAGE_BACKEND : args[fromIdx + 1];
+  if (!BACKENDS.includes(to) || !BACKENDS.includes(from) || from === to) {
+    throw new Error(`usage: node server.js migrate-storage <${BACKENDS.join('|')}> [--from <backend>] [--force]`);
+  }
+  acquireLock(ROOT_DIR);
+  const source = createStorage(from, { dir: ROOT_DIR });
+  const target = createStorage(to, { dir: ROOT_DIR });
+  const raw = await source.load();
+  if (!raw) throw new Error(`The ${from} backend has no data (${source.files[0]})`);
+  if (target.exists() && !args.includes('--force')) {
+    throw new Error(`${target.files[0]} already exists; pass --force to overwrite it`);
+  }
+  const state = loadState(raw);
+  await target.writeAll(state);
+  source.close();
+  target.close();
+  const taskCount = taskOwnersOf(state).reduce((n, o) => n + o.tasks.length, 0);
+  console.log(`Copied ${state.users.length} account(s) and ${taskCount} task(s) from ${source.files[0]} to ${target.files[0]}.`);
+  console.log(`Start the server with STORAGE=${to} to use it.`);
 }
 
 async function main() {
   await ensureDirs();
+  if (process.argv[2] === 'migrate-storage') {
+    await migrateStorage(process.argv.slice(3));
+    return;
+  }
+  acquireLock(ROOT_DIR);
+  // parts of uploads cut off by the last shutdown
+  for (const name of await fsp.readdir(INCOMING_DIR)) await safeUnlink(path.join(INCOMING_DIR, name));
+  // exit normally on Ctrl-C / kill so the lock file is removed
+  for (const signal of ['SIGINT', 'SIGTERM']) process.once(signal, () => process.exit(0));
+  STORAGE = createStorage(STORAGE_BACKEND, { dir: ROOT_DIR });
   STATE = await loadStateFromDisk();
+  const newVapid = !STATE.vapid;
+  if (newVapid) STATE.vapid = webpush.generateVapidKeys();
 
-  // Normalize / rollover once at start, then save if needed.
+  // Normalize / rollover once at start, then save if needed (always when there was no stored state or
+  // it was quarantined, so a state loaded from a snapshot is stored before anything else happens).
   const changed = processAllToToday();
-  if (changed) await queueSave();
-
-  // Background day rollover ticker: process shortly after midnight even if no requests hit the server.
-  let lastDayKey = localDateKey();
+  const purged = await purgeExpiredTrash();
+  let resized = false;
+  for (const owner of taskOwners()) if (await backfillThumbnailVariants(owner.tasks)) resized = true;
+  if (changed || purged || resized || newVapid || !STORAGE.exists()) await queueSave();
+  const collected = await collectUnlinkedUploads();
+  if (collected.removed.length) console.log(`Removed ${collected.removed.length} unlinked upload(s), ${collected.bytes} bytes`);
+
+  // Background day rollover ticker: process shortly after each account's day starts even if no
+  // requests hit the server. Accounts can be on different clocks, so every tick checks every task
+  // (a task already on its owner's today is skipped straight away).
   setInterval(async () => {
-    const nowKey = localDateKey();
-    if (nowKey !== lastDayKey) {
-      lastDayKey = nowKey;
-      const didChange = processAllToToday();
-      if (didChange) await queueSave();
-    }
+    // keep idle event streams from being cut by proxies
+    for (const client of EVENT_CLIENTS) client.res.write(': ping\n\n');
+
+    const didChange = processAllToToday();
+    const didPurge = await purgeExpiredTrash();
+    if (didChange || didPurge) await queueSave();
+    else publishChanges(); // open pages may still need a new day with nothing to roll
+    sendDueReminders().catch((err) => console.error('Reminder error:', err));
+    deliverWebhooks().catch((err) => console.error('Webhook error:', err));
   }, 30_000);
 
   const server = http.createServer((req, res) => {
@@ -745,8 +3803,8 @@ async function main() {
   });
 
   server.listen(PORT, () => {
-    console.log(`Streaks: Overload running on http://localhost:${PORT}`);
-    console.log(`Data: ${DATA_PATH}`);
+    console.log(`Streaks: Overload running on http://localhost:${server.address().port}`);
+    console.log(`Data: ${STORAGE.files[0]} (${STORAGE.name} storage)`);
     console.log(`Uploads: ${UPLOAD_DIR}`);
   });
 }
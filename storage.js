@@ -0,0 +1,365 @@
+'use strict';
+
+/**
+ * Storage backends for the state document (see server.js). Pick one with STORAGE=<name>:
+ *
+ *   json     ./data.json, rewritten in full on every save (tmp file + rename). The default.
+ *   journal  ./data.journal, an append-only log: each save appends only the tasks that changed and,
+ *            if it changed, the account data (accounts without their tasks, sessions, settings).
+ *            Once the log has grown well past the size of the state it is compacted into a single
+ *            checkpoint line.
+ *   sqlite   ./data.sqlite through node:sqlite (Node.js 22.5+): one row per task plus one for the
+ *            account data, each save is one transaction touching only what changed.
+ *
+ * Backends load the raw state (server.js normalizes it) and save the in-memory state. Whatever changes
+ * a task bumps its updatedAt, so a task still the same object with the same updatedAt as at the last
+ * save is skipped unread. Any other task (every one after a load, so normalization on load is kept;
+ * a restored or imported one; one changed in the millisecond it was last saved) is compared by a hash
+ * of its JSON.
+ * Move data between backends with `node server.js migrate-storage <to>`.
+ *
+ * A lock file (./data.lock, holding the pid) keeps a second process from opening the same data.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+const BACKENDS = ['json', 'journal', 'sqlite'];
+const LEGACY_OWNER = '#legacy'; // owner key of unclaimed version 1 tasks (STATE.legacy)
+const MIN_COMPACT_BYTES = 256 * 1024;
+
+// Takes the lock for `dir` or throws if a live process holds it. A lock left by a process that is
+// gone is taken over. Released when this process exits.
+function acquireLock(dir) {
+  const lockPath = path.join(dir, 'data.lock');
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      process.on('exit', () => {
+        try {
+          if (fs.readFileSync(lockPath, 'utf8') === String(process.pid)) fs.unlinkSync(lockPath);
+        } catch {
+          // already gone
+        }
+      });
+      return lockPath;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const pid = Number(fs.readFileSync(lockPath, 'utf8'));
+    if (Number.isInteger(pid) && pid > 0 && isAlive(pid)) {
+      throw new Error(`${lockPath} is held by another server process (pid ${pid})`);
+    }
+    fs.unlinkSync(lockPath);
+  }
+  throw new Error(`Could not take ${lockPath}`);
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// The state split into its account data (everything but the task lists) and its tasks by id.
+function splitState(state) {
+  const owners = state.users.map((u) => [u.id, u]);
+  if (state.legacy) owners.push([LEGACY_OWNER, state.legacy]);
+  const tasks = new Map();
+  for (const [owner, o] of owners) {
+    o.tasks.forEach((task, position) => tasks.set(task.id, { owner, position, task }));
+  }
+  const meta = {
+    ...state,
+    users: state.users.map(({ tasks: _tasks, ...u }) => u),
+    legacy: state.legacy ? { backgroundUrl: state.legacy.backgroundUrl } : null,
+  };
+  return { meta, tasks };
+}
+
+// Inverse of splitState; `tasks` is { owner, task } in list order. Tasks of an owner that no longer
+// exists are dropped.
+function joinState(meta, tasks) {
+  const state = {
+    ...meta,
+    users: meta.users.map((u) => ({ ...u, tasks: [] })),
+    legacy: meta.legacy ? { ...meta.legacy, tasks: [] } : null,
+  };
+  const owners = new Map(state.users.map((u) => [u.id, u]));
+  if (state.legacy) owners.set(LEGACY_OWNER, state.legacy);
+  for (const { owner, task } of tasks) {
+    const o = owners.get(owner);
+    if (o) o.tasks.push(task);
+  }
+  return state;
+}
+
+// Changes whenever anything in the task does.
+function contentHash(task) {
+  return crypto.createHash('sha1').update(JSON.stringify(task)).digest('base64');
+}
+
+// What is known to be stored for a task: { owner, task (the object saved), updatedAt, hash, at (when) }.
+function writtenRow(row, hash, at) {
+  return { owner: row.owner, task: row.task, updatedAt: row.task.updatedAt, hash, at };
+}
+
+// Untouched since it was written (see the top of this file).
+function untouched(prev, row) {
+  return prev.owner === row.owner && prev.task === row.task
+    && prev.updatedAt === row.task.updatedAt && row.task.updatedAt < prev.at;
+}
+
+// What changed since `written` (task id -> writtenRow, as of the last save).
+function diffState(state, written, writtenMeta) {
+  const { meta, tasks } = splitState(state);
+  const metaText = JSON.stringify(meta);
+  const at = Date.now();
+  const next = new Map();
+  const upserts = [];
+  for (const [id, row] of tasks) {
+    const prev = written.get(id);
+    if (prev && untouched(prev, row)) {
+      next.set(id, prev);
+      continue;
+    }
+    const hash = contentHash(row.task);
+    next.set(id, writtenRow(row, hash, at));
+    if (!prev || prev.owner !== row.owner || prev.hash !== hash) upserts.push(row);
+  }
+  const deletes = [...written.keys()].filter((id) => !next.has(id));
+  return { meta, metaText, metaChanged: metaText !== writtenMeta, upserts, deletes, next };
+}
+
+// What `state` has just been written as (`loaded`: read back, and about to be normalized in place, so
+// every task is compared on the next save).
+function seedWritten(state, { loaded = false } = {}) {
+  const { meta, tasks } = splitState(state);
+  const at = loaded ? -Infinity : Date.now();
+  const written = new Map();
+  for (const [id, row] of tasks) written.set(id, writtenRow(row, contentHash(row.task), at));
+  return { written, writtenMeta: JSON.stringify(meta) };
+}
+
+function jsonStorage(dir) {
+  const file = path.join(dir, 'data.json');
+  return {
+    name: 'json',
+    files: [file],
+    exists: () => fs.existsSync(file),
+    async load() {
+      try {
+        return JSON.parse(await fsp.readFile(file, 'utf8'));
+      } catch (err) {
+        if (err && err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async save(state) {
+      const tmp = file + '.tmp';
+      await fsp.writeFile(tmp, JSON.stringify(state, null, 2), 'utf8');
+      await fsp.rename(tmp, file);
+    },
+    async writeAll(state) {
+      await this.save(state);
+    },
+    close() {},
+  };
+}
+
+function journalStorage(dir) {
+  const file = path.join(dir, 'data.journal');
+  let written = new Map();
+  let writtenMeta = null;
+  let checkpointBytes = 0;
+  let appendedBytes = 0;
+
+  return {
+    name: 'journal',
+    files: [file],
+    exists: () => fs.existsSync(file),
+
+    // A torn last line (the process died mid-append) is cut off; a bad line anywhere else is an error.
+    async load() {
+      let text;
+      try {
+        text = await fsp.readFile(file, 'utf8');
+      } catch (err) {
+        if (err && err.code === 'ENOENT') return null;
+        throw err;
+      }
+      const lines = text.split('\n');
+      if (lines[lines.length - 1] === '') lines.pop();
+      let meta = null;
+      let tasks = new Map();
+      let goodBytes = 0;
+      for (let i = 0; i < lines.length; i++) {
+        let rec;
+        try {
+          rec = JSON.parse(lines[i]);
+        } catch (err) {
+          if (i < lines.length - 1) throw new Error(`${file}: line ${i + 1} is not valid JSON`);
+          console.error(`${file}: dropping a torn last line`);
+          await fsp.truncate(file, goodBytes);
+          break;
+        }
+        goodBytes += Buffer.byteLength(lines[i]) + 1;
+        if (rec.op === 'checkpoint') {
+          ({ meta, tasks } = splitState(rec.state));
+          checkpointBytes = goodBytes;
+          appendedBytes = 0;
+          continue;
+        }
+        appendedBytes += Buffer.byteLength(lines[i]) + 1;
+        if (rec.op === 'meta') {
+          meta = rec.meta;
+        } else if (rec.op === 'task') {
+          const prev = tasks.get(rec.task.id);
+          if (prev && prev.owner !== rec.owner) tasks.delete(rec.task.id); // moved: goes to the end
+          tasks.set(rec.task.id, { owner: rec.owner, task: rec.task });
+        } else if (rec.op === 'delete') {
+          tasks.delete(rec.id);
+        } else {
+          throw new Error(`${file}: line ${i + 1} has unknown op ${JSON.stringify(rec.op)}`);
+        }
+      }
+      if (!meta) return null;
+      const state = joinState(meta, tasks.values());
+      ({ written, writtenMeta } = seedWritten(state, { loaded: true }));
+      return state;
+    },
+
+    async save(state) {
+      if (writtenMeta === null) return this.writeAll(state);
+      const diff = diffState(state, written, writtenMeta);
+      const lines = [];
+      if (diff.metaChanged) lines.push(JSON.stringify({ op: 'meta', meta: diff.meta }));
+      for (const row of diff.upserts) lines.push(JSON.stringify({ op: 'task', owner: row.owner, task: row.task }));
+      for (const id of diff.deletes) lines.push(JSON.stringify({ op: 'delete', id }));
+      if (!lines.length) return;
+      const text = lines.join('\n') + '\n';
+      await fsp.appendFile(file, text, 'utf8');
+      written = diff.next;
+      writtenMeta = diff.metaText;
+      appendedBytes += Buffer.byteLength(text);
+      if (appendedBytes > Math.max(checkpointBytes, MIN_COMPACT_BYTES)) await this.writeAll(state);
+    },
+
+    // Rewrites the journal as a single checkpoint.
+    async writeAll(state) {
+      const text = JSON.stringify({ op: 'checkpoint', state }) + '\n';
+      const tmp = file + '.tmp';
+      await fsp.writeFile(tmp, text, 'utf8');
+      await fsp.rename(tmp, file);
+      ({ written, writtenMeta } = seedWritten(state));
+      checkpointBytes = Buffer.byteLength(text);
+      appendedBytes = 0;
+    },
+
+    close() {},
+  };
+}
+
+function sqliteStorage(dir) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch {
+    throw new Error(`The sqlite backend needs node:sqlite (Node.js 22.5 or newer; this is ${process.version})`);
+  }
+  const file = path.join(dir, 'data.sqlite');
+  let db = null;
+  let written = new Map();
+  let writtenMeta = null;
+
+  const open = () => {
+    if (!db) {
+      db = new DatabaseSync(file);
+      db.exec(`
+        PRAGMA journal_mode = WAL;
+        CREATE TABLE IF NOT EXISTS meta (id INTEGER PRIMARY KEY CHECK (id = 1), data TEXT NOT NULL);
+        CREATE TABLE IF NOT EXISTS tasks (id TEXT PRIMARY KEY, owner TEXT NOT NULL, position INTEGER NOT NULL, data TEXT NOT NULL);
+      `);
+    }
+    return db;
+  };
+
+  const transaction = (fn) => {
+    open().exec('BEGIN');
+    try {
+      fn(db);
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  };
+
+  const putMeta = (d, metaText) => {
+    d.prepare('INSERT INTO meta (id, data) VALUES (1, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data').run(metaText);
+  };
+  const putTask = (d, row) => {
+    d.prepare(`INSERT INTO tasks (id, owner, position, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET owner = excluded.owner, position = excluded.position, data = excluded.data`)
+      .run(row.task.id, row.owner, row.position, JSON.stringify(row.task));
+  };
+
+  return {
+    name: 'sqlite',
+    files: [file, `${file}-wal`, `${file}-shm`],
+    exists: () => fs.existsSync(file),
+
+    async load() {
+      if (!fs.existsSync(file)) return null;
+      const d = open();
+      const metaRow = d.prepare('SELECT data FROM meta WHERE id = 1').get();
+      if (!metaRow) return null;
+      const rows = d.prepare('SELECT owner, data FROM tasks ORDER BY owner, position').all();
+      const state = joinState(JSON.parse(metaRow.data), rows.map((r) => ({ owner: r.owner, task: JSON.parse(r.data) })));
+      ({ written, writtenMeta } = seedWritten(state, { loaded: true }));
+      return state;
+    },
+
+    async save(state) {
+      if (writtenMeta === null) return this.writeAll(state);
+      const diff = diffState(state, written, writtenMeta);
+      if (!diff.metaChanged && !diff.upserts.length && !diff.deletes.length) return;
+      transaction((d) => {
+        if (diff.metaChanged) putMeta(d, diff.metaText);
+        for (const row of diff.upserts) putTask(d, row);
+        for (const id of diff.deletes) d.prepare('DELETE FROM tasks WHERE id = ?').run(id);
+      });
+      written = diff.next;
+      writtenMeta = diff.metaText;
+    },
+
+    async writeAll(state) {
+      const { meta, tasks } = splitState(state);
+      transaction((d) => {
+        d.exec('DELETE FROM tasks');
+        putMeta(d, JSON.stringify(meta));
+        for (const row of tasks.values()) putTask(d, row);
+      });
+      ({ written, writtenMeta } = seedWritten(state));
+    },
+
+    close() {
+      if (db) db.close();
+      db = null;
+    },
+  };
+}
+
+function createStorage(name, { dir }) {
+  if (name === 'json') return jsonStorage(dir);
+  if (name === 'journal') return journalStorage(dir);
+  if (name === 'sqlite') return sqliteStorage(dir);
+  throw new Error(`Unknown storage backend ${JSON.stringify(name)} (expected one of: ${BACKENDS.join(', ')})`);
+}
+
+module.exports = { BACKENDS, createStorage, acquireLock };
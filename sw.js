@@ -0,0 +1,83 @@
+'use strict';
+
+// Service worker: shows the reminders server.js pushes ({ title, body, tag, url }) and brings the
+// page back when one is clicked, and keeps the app usable offline. The shell, what the page loads on
+// start (/api/auth/me, /api/state, /api/calendar, /api/stats) and images are fetched network-first; a
+// copy of each answer is kept, and served when the network fails, marked with an X-Streaks-Cached-At
+// header (ms) so the page can say it is showing old data. Adds made offline wait in the page's outbox.
+
+const SHELL_CACHE = 'streaks-shell-v1';
+const DATA_CACHE = 'streaks-data'; // the signed-in account's data: index.html deletes it on sign-out
+const SHELL = ['/', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png'];
+const DATA_PATHS = ['/api/auth/me', '/api/state', '/api/calendar', '/api/stats'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name !== SHELL_CACHE && name !== DATA_CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+  if (req.mode === 'navigate' || SHELL.includes(url.pathname)) {
+    event.respondWith(networkFirst(req, SHELL_CACHE, req.mode === 'navigate' ? '/' : null));
+  } else if (DATA_PATHS.includes(url.pathname) || url.pathname.startsWith('/uploads/')) {
+    event.respondWith(networkFirst(req, DATA_CACHE, null));
+  }
+});
+
+// cacheKey: what to store the answer under (every navigation shares the one copy of the page).
+async function networkFirst(req, cacheName, cacheKey) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(req);
+    if (res.ok) {
+      const headers = new Headers(res.headers);
+      headers.set('X-Streaks-Cached-At', String(Date.now()));
+      const copy = new Response(await res.clone().blob(), { status: res.status, statusText: res.statusText, headers });
+      await cache.put(cacheKey || req, copy);
+    }
+    return res;
+  } catch (err) {
+    const cached = await cache.match(cacheKey || req);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data.text() };
+  }
+  event.waitUntil(self.registration.showNotification(data.title || 'Streaks', {
+    body: data.body || '',
+    tag: data.tag,
+    renotify: Boolean(data.tag),
+    data: { url: data.url || '/' },
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+  event.waitUntil((async () => {
+    const open = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    for (const client of open) {
+      if (new URL(client.url).pathname === new URL(url, self.location.origin).pathname && 'focus' in client) return client.focus();
+    }
+    return self.clients.openWindow(url);
+  })());
+});
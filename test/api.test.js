@@ -0,0 +1,146 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// The server run from a copy of the app in a temp directory (its own data, uploads and snapshots), on
+// a free port. Stopped, and the directory removed, after this file's tests.
+async function startServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaks-server-'));
+  for (const name of fs.readdirSync(ROOT)) {
+    if (/\.(js|html|webmanifest)$/.test(name)) fs.copyFileSync(path.join(ROOT, name), path.join(dir, name));
+  }
+  const child = spawn(process.execPath, ['server.js'], { cwd: dir, env: { ...process.env, PORT: '0' }, stdio: ['ignore', 'pipe', 'inherit'] });
+  test.after(async () => {
+    child.kill();
+    if (child.exitCode === null) await once(child, 'exit');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  let out = '';
+  const origin = await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      out += chunk;
+      const m = /running on (http:\/\/\S+)/.exec(out);
+      if (m) resolve(m[1]);
+    });
+    child.once('exit', (code) => reject(new Error(`The server exited (${code}) before it was up:\n${out}`)));
+  });
+  return { origin, dir };
+}
+
+// Calls the API as one client: signed in with the session cookie it was last given, or with `token`.
+function client(origin, { token = null } = {}) {
+  let cookie = null;
+  return async (method, url, body, headers = {}) => {
+    const form = body instanceof FormData;
+    const res = await fetch(origin + url, {
+      method,
+      headers: {
+        ...(cookie ? { cookie } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...(body !== undefined && !form ? { 'content-type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : form ? body : JSON.stringify(body),
+    });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+  };
+}
+
+async function createTask(api, name) {
+  const form = new FormData();
+  form.set('name', name);
+  const { status, body } = await api('POST', '/api/tasks', form);
+  assert.equal(status, 201);
+  return body.task;
+}
+
+test('the API, tokens and idempotent adds', async (t) => {
+  const { origin } = await startServer();
+  const ada = client(origin);
+  assert.equal((await ada('POST', '/api/auth/setup', { username: 'ada', password: 'password123' })).status, 201);
+  const run = await createTask(ada, 'Morning run');
+  assert.equal(run.slug, 'morning-run');
+
+  await t.test('a task is found by its slug wherever its id works', async () => {
+    const bySlug = await ada('POST', '/api/tasks/morning-run/add', { amount: 0.25 });
+    assert.equal(bySlug.status, 200);
+    assert.equal(bySlug.body.task.id, run.id);
+    const history = await ada('GET', `/api/tasks/${run.id}/history`);
+    assert.equal(history.status, 200);
+    assert.equal((await ada('POST', '/api/tasks/no-such-task/add', { amount: 1 })).status, 404);
+    assert.equal((await ada('POST', '/api/tasks/morning-run/undo', {})).status, 200);
+  });
+
+  await t.test('a token can do what its scope allows and nothing else', async () => {
+    const tokens = {};
+    for (const scope of ['read', 'log', 'admin']) {
+      const { status, body } = await ada('POST', '/api/tokens', { name: `${scope} script`, scope });
+      assert.equal(status, 201);
+      tokens[scope] = client(origin, { token: body.secret });
+    }
+    const expect = [
+      // [scope, method, url, body, allowed]
+      ['read', 'GET', '/api/state', undefined, true],
+      ['read', 'POST', '/api/tasks/morning-run/add', { amount: 0.1 }, false],
+      ['log', 'POST', '/api/tasks/morning-run/add', { amount: 0.1 }, true],
+      ['log', 'POST', '/api/tasks/morning-run/undo', {}, true],
+      ['log', 'GET', '/api/state', undefined, false],
+      ['log', 'PATCH', '/api/tasks/morning-run', { name: 'Run' }, false],
+      ['admin', 'PATCH', '/api/tasks/morning-run', { name: 'Morning run' }, true],
+      ['admin', 'GET', '/api/tokens', undefined, false],
+      ['admin', 'POST', '/api/auth/password', { currentPassword: 'password123', newPassword: 'password456' }, false],
+    ];
+    for (const [scope, method, url, body, allowed] of expect) {
+      const { status } = await tokens[scope](method, url, body);
+      assert.equal(status === 403, !allowed, `${scope}: ${method} ${url} answered ${status}`);
+    }
+    assert.equal((await client(origin, { token: 'sot_not-a-token' })('GET', '/api/state')).status, 401);
+  });
+
+  await t.test('a repeated Idempotency-Key gets the first add\'s outcome instead of adding again', async () => {
+    const task = await createTask(ada, 'Read');
+    const key = { 'idempotency-key': 'outbox-1' };
+    const first = await ada('POST', '/api/tasks/read/add', { amount: 1 }, key);
+    assert.equal(first.body.secured, true);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+
+    const again = await ada('POST', '/api/tasks/read/add', { amount: 1 }, key);
+    assert.equal(again.status, 200);
+    assert.equal(again.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual([again.body.secured, again.body.milestone, again.body.undone], [true, null, false]);
+    assert.equal(again.body.task.hopper, 1);
+
+    assert.equal((await ada('POST', '/api/tasks/read/add', { amount: 2 }, key)).status, 422);
+    await ada('POST', `/api/tasks/${task.id}/undo`, {});
+    const afterUndo = await ada('POST', '/api/tasks/read/add', { amount: 1 }, key);
+    assert.deepEqual([afterUndo.body.secured, afterUndo.body.undone, afterUndo.body.task.hopper], [true, true, 0]);
+  });
+
+  await t.test('team members using the same Idempotency-Key make separate adds', async () => {
+    const team = await createTask(ada, 'Team reading');
+    assert.equal((await ada('POST', '/api/admin/users', { username: 'bob', password: 'password123' })).status, 201);
+    const bob = client(origin);
+    assert.equal((await bob('POST', '/api/auth/login', { username: 'bob', password: 'password123' })).status, 200);
+    const adaSelf = await ada('POST', `/api/tasks/${team.id}/participants`, { name: 'Ada', username: 'ada' });
+    assert.equal(adaSelf.status, 201);
+    assert.equal((await ada('POST', `/api/tasks/${team.id}/participants`, { name: 'Bob', username: 'bob' })).status, 201);
+
+    const key = { 'idempotency-key': 'outbox-1' };
+    const fromAda = await ada('POST', `/api/tasks/${team.id}/add`, { amount: 0.5 }, key);
+    const fromBob = await bob('POST', `/api/tasks/${team.id}/add`, { amount: 0.5 }, key);
+    assert.equal(fromAda.headers.get('idempotent-replayed'), null);
+    assert.equal(fromBob.headers.get('idempotent-replayed'), null);
+    assert.equal(fromBob.body.task.hopper, 1);
+    assert.equal((await bob('POST', `/api/tasks/${team.id}/add`, { amount: 0.5 }, key)).headers.get('idempotent-replayed'), 'true');
+  });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { encodePng } = require('../images');
+
+const ROOT = path.join(__dirname, '..');
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+// The server run from a copy of the app in a temp directory, on a free port; `prepare(dir)` runs on the
+// copy first. Stopped, and the directory removed, after this file's tests.
+async function startServer({ env = {}, prepare = () => {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaks-server-'));
+  for (const name of fs.readdirSync(ROOT)) {
+    if (/\.(js|html|webmanifest)$/.test(name)) fs.copyFileSync(path.join(ROOT, name), path.join(dir, name));
+  }
+  prepare(dir);
+  const child = spawn(process.execPath, ['server.js'], { cwd: dir, env: { ...process.env, PORT: '0', ...env }, stdio: ['ignore', 'pipe', 'inherit'] });
+  test.after(async () => {
+    child.kill();
+    if (child.exitCode === null) await once(child, 'exit');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  let out = '';
+  const origin = await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      out += chunk;
+      const m = /running on (http:\/\/\S+)/.exec(out);
+      if (m) resolve(m[1]);
+    });
+    child.once('exit', (code) => reject(new Error(`The server exited (${code}) before it was up:\n${out}`)));
+  });
+  return { origin, dir };
+}
+
+// Calls the API as one client, signed in with the session cookie it was last given.
+function client(origin) {
+  let cookie = null;
+  return async (method, url, body) => {
+    const form = body instanceof FormData;
+    const res = await fetch(origin + url, {
+      method,
+      headers: { ...(cookie ? { cookie } : {}), ...(body !== undefined && !form ? { 'content-type': 'application/json' } : {}) },
+      body: body === undefined ? undefined : form ? body : JSON.stringify(body),
+    });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    return { status: res.status, body: await res.json().catch(() => null) };
+  };
+}
+
+async function signedInAdmin(origin) {
+  const api = client(origin);
+  assert.equal((await api('POST', '/api/auth/setup', { username: 'ada', password: 'password123' })).status, 201);
+  return api;
+}
+
+// A small opaque PNG, different for each `seed`.
+function png(seed) {
+  const data = new Uint8Array(8 * 8 * 4).map((_, i) => (i % 4 === 3 ? 255 : (i * seed) & 0xff));
+  return encodePng({ width: 8, height: 8, data });
+}
+
+async function createTask(api, name, thumbnail = null) {
+  const form = new FormData();
+  form.set('name', name);
+  if (thumbnail) form.set('thumbnail', new Blob([thumbnail], { type: 'image/png' }), `${name}.png`);
+  const { status, body } = await api('POST', '/api/tasks', form);
+  assert.equal(status, 201);
+  return body.task;
+}
+
+const snapshotName = (ms, reason) => `data-${new Date(ms).toISOString().replace(/[-:.]/g, '')}-${reason}.json`;
+
+test('snapshots: one an hour, rotated to one per hour and then one per day, pre-migration ones kept', async () => {
+  const now = Date.now();
+  const hourStart = (Math.floor(now / HOUR) - 2) * HOUR;
+  const dayStart = (Math.floor(now / DAY) - 3) * DAY;
+  const seeded = {
+    sameHourOlder: snapshotName(hourStart + 60000, 'auto'),
+    sameHourNewer: snapshotName(hourStart + 120000, 'auto'),
+    sameDayOlder: snapshotName(dayStart + HOUR, 'auto'),
+    sameDayNewer: snapshotName(dayStart + 2 * HOUR, 'auto'),
+    expired: snapshotName(now - 40 * DAY, 'auto'),
+    expiredManual: snapshotName(now - 40 * DAY, 'manual'),
+    preMigration: snapshotName(now - 40 * DAY, 'pre-migration'),
+  };
+  const { origin } = await startServer({
+    env: { SNAPSHOT_HOURLY: '24', SNAPSHOT_DAILY: '30' },
+    prepare: (dir) => {
+      fs.mkdirSync(path.join(dir, 'snapshots'));
+      for (const name of Object.values(seeded)) fs.writeFileSync(path.join(dir, 'snapshots', name), '{}');
+    },
+  });
+  const api = await signedInAdmin(origin); // saves again: no second snapshot within the hour
+  await createTask(api, 'Run');
+
+  const { body } = await api('GET', '/api/admin/snapshots');
+  const names = body.snapshots.map((s) => s.name);
+  const fresh = body.snapshots.filter((s) => s.reason === 'auto' && now - s.createdAt < HOUR);
+  assert.equal(fresh.length, 1);
+  assert.deepEqual(names, [fresh[0].name, seeded.sameHourNewer, seeded.sameDayNewer, seeded.preMigration]);
+  assert.deepEqual(body.retention, { hourly: 24, daily: 30 });
+});
+
+test('snapshots: a restore brings the state back and snapshots the one it replaces', async () => {
+  const { origin } = await startServer();
+  const api = await signedInAdmin(origin);
+  await createTask(api, 'Run');
+  const taken = await api('POST', '/api/admin/snapshots');
+  assert.equal(taken.status, 201);
+  assert.equal(taken.body.snapshot.reason, 'manual');
+  await createTask(api, 'Read');
+
+  const restore = await api('POST', `/api/admin/snapshots/${encodeURIComponent(taken.body.snapshot.name)}/restore`);
+  assert.equal(restore.status, 200);
+  assert.equal(restore.body.signedOut, false);
+  const { body } = await api('GET', '/api/state');
+  assert.deepEqual(body.tasks.map((t) => t.name), ['Run']);
+  const { body: listed } = await api('GET', '/api/admin/snapshots');
+  assert.ok(listed.snapshots.some((s) => s.name === restore.body.preRestore && s.reason === 'pre-restore'));
+  assert.equal((await api('POST', '/api/admin/snapshots/data-nope-manual.json/restore')).status, 404);
+});
+
+test('export and import: merge remaps clashing task ids and upload names, replace swaps the tasks', async () => {
+  const { origin, dir } = await startServer();
+  const api = await signedInAdmin(origin);
+  const run = await createTask(api, 'Run', png(3));
+  const exported = await api('GET', '/api/export');
+  assert.equal(exported.status, 200);
+  const bundle = exported.body;
+  assert.equal(bundle.scope, 'account');
+  assert.deepEqual(bundle.state.legacy.tasks.map((t) => t.id), [run.id]);
+  assert.ok(bundle.files.some((f) => f.url === run.thumbnailUrl));
+
+  // the same bundle again: the task gets a new id, the identical image is linked again
+  const same = await api('POST', '/api/import?mode=merge', bundle);
+  assert.equal(same.status, 200);
+  assert.deepEqual(same.body.imported, { tasks: 1, users: 0, files: bundle.files.length });
+  assert.equal(same.body.remappedTasks.length, 1);
+  assert.equal(same.body.remappedTasks[0].from, run.id);
+  assert.deepEqual(same.body.remappedFiles, []);
+
+  // a different image under a name that is taken here is stored under a new name
+  const changed = structuredClone(bundle);
+  changed.files.find((f) => f.url === run.thumbnailUrl).data = png(7).toString('base64');
+  const clash = await api('POST', '/api/import?mode=merge', changed);
+  const [moved] = clash.body.remappedFiles;
+  assert.equal(moved.from, run.thumbnailUrl);
+  assert.notEqual(moved.to, run.thumbnailUrl);
+
+  let { body } = await api('GET', '/api/state');
+  assert.equal(body.tasks.length, 3);
+  assert.equal(new Set(body.tasks.map((t) => t.id)).size, 3);
+  assert.equal(new Set(body.tasks.map((t) => t.slug)).size, 3);
+  assert.deepEqual(body.tasks.map((t) => t.thumbnailUrl), [run.thumbnailUrl, run.thumbnailUrl, moved.to]);
+  const movedFile = path.join(dir, 'uploads', path.basename(moved.to));
+  assert.deepEqual(fs.readFileSync(movedFile), png(7));
+
+  // replace: the account ends up with exactly the bundle's tasks, under their own ids
+  const replaced = await api('POST', '/api/import?mode=replace', bundle);
+  assert.equal(replaced.status, 200);
+  assert.deepEqual(replaced.body.remappedTasks, []);
+  ({ body } = await api('GET', '/api/state'));
+  assert.deepEqual(body.tasks.map((t) => [t.id, t.thumbnailUrl]), [[run.id, run.thumbnailUrl]]);
+  assert.equal(fs.existsSync(movedFile), false); // nothing links to it any more
+  const { body: listed } = await api('GET', '/api/admin/snapshots');
+  assert.ok(listed.snapshots.some((s) => s.reason === 'pre-import'));
+});
@@ -0,0 +1,393 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, dayKeyAt, addDaysKey, dayDiff, decayHopper, periodStartKey, replayStart } = require('../engine');
+
+// A task as normalizeTask leaves it, on a daily schedule with the default rules.
+function makeTask(overrides = {}) {
+  const { rules, ...rest } = overrides;
+  const task = {
+    id: 't1',
+    name: 'Job applications',
+    status: 'active',
+    rules: { threshold: 1, decayMode: 'subtract-threshold', decayValue: null, carryCap: null, freezeEvery: 7, freezeMax: 2, ...rules },
+    schedule: { type: 'daily' },
+    dayKey: '2026-10-19',
+    periodHits: 0,
+    securedToday: false,
+    hopper: 0,
+    streak: 0,
+    bestStreak: 0,
+    bestStreakDayKey: null,
+    milestones: [],
+    freezes: 0,
+    restDays: [],
+    participants: [],
+    ledger: [],
+    lastSecuredAt: null,
+    lastSecuredReason: null,
+    lastSecuredBy: null,
+    lastFrozenAt: null,
+    lastFrozenReason: null,
+    lastFrozenDayKey: null,
+    ...rest,
+  };
+  if (!task.periodKey) task.periodKey = periodStartKey(task, task.dayKey);
+  return task;
+}
+
+// An engine on a clock the test moves by hand, with numbered ids and the events it raised.
+function fakeEngine(ms = Date.parse('2026-10-19T12:00:00Z')) {
+  const clock = { ms };
+  const events = [];
+  let ids = 0;
+  const engine = createEngine({
+    now: () => clock.ms,
+    newId: () => `e${++ids}`,
+    emit: (task, event, data) => events.push({ event, ...data }),
+  });
+  return { engine, clock, events };
+}
+
+const rollovers = (task) => task.ledger.filter((e) => e.type === 'rollover');
+
+test('day keys count calendar days across months, years and leap days', () => {
+  assert.equal(addDaysKey('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDaysKey('2028-02-28', 1), '2028-02-29');
+  assert.equal(addDaysKey('2026-03-01', -1), '2026-02-28');
+  assert.equal(dayDiff('2026-10-19', '2027-10-19'), 365);
+  assert.equal(dayDiff('2026-10-19', '2026-10-12'), -7);
+});
+
+test('malformed day keys give no answer instead of reading the wall clock', () => {
+  assert.equal(addDaysKey('tomorrow', 1), null);
+  assert.ok(Number.isNaN(dayDiff('2026-10-19', 'later')));
+});
+
+test('the default decay uses up one day\'s target; 10% is the multiply mode', () => {
+  const { engine } = fakeEngine();
+  const { days } = engine.simulate(makeTask(), [{ day: 0, amount: 2.5 }], 3);
+  assert.deepEqual(days.map((d) => [d.outcome, d.streak, d.hopper]), [
+    ['secured', 2, 1.5],
+    ['secured', 2, 0.5],
+    ['broken', 0, 0],
+  ]);
+
+  const multiply = { threshold: 1, decayMode: 'multiply', decayValue: 0.9, carryCap: null };
+  assert.equal(decayHopper(2, multiply), 1.8);
+  assert.equal(decayHopper(2, { ...multiply, carryCap: 1.5 }), 1.5);
+  const tenPercent = engine.simulate(makeTask({ rules: { decayMode: 'multiply', decayValue: 0.9 } }), [{ day: 0, amount: 1 }], 1);
+  assert.equal(tenPercent.days[0].hopper, 0.9);
+});
+
+test('a hopper still at the threshold auto-secures the new day on rollover', () => {
+  const { engine, events } = fakeEngine();
+  const task = makeTask({ hopper: 3, securedToday: true, periodHits: 1, streak: 1 });
+
+  assert.equal(engine.processTaskToToday(task, '2026-10-20'), true);
+  assert.equal(task.dayKey, '2026-10-20');
+  assert.equal(task.securedToday, true);
+  assert.equal(task.streak, 2);
+  assert.equal(task.hopper, 2);
+  assert.equal(task.lastSecuredReason, 'rollover');
+  assert.equal(rollovers(task)[0].autoSecured, true);
+  assert.deepEqual(events, [{ event: 'task.secured', reason: 'rollover', dayKey: '2026-10-20', participantId: null, periodCompleted: true }]);
+});
+
+test('a multi-day gap rolls over once per day, breaking the streak once', () => {
+  const { engine, events } = fakeEngine();
+  const task = makeTask({ hopper: 3.2, securedToday: true, periodHits: 1, streak: 4, bestStreak: 4 });
+
+  engine.processTaskToToday(task, '2026-10-25');
+  assert.deepEqual(rollovers(task).map((e) => [e.dayKey, e.outcome, e.streakAfter, e.hopperAfter]), [
+    ['2026-10-19', 'secured', 5, 2.2],
+    ['2026-10-20', 'secured', 6, 1.2],
+    ['2026-10-21', 'secured', 6, 0.2],
+    ['2026-10-22', 'broken', 0, 0],
+    ['2026-10-23', 'missed', 0, 0],
+    ['2026-10-24', 'missed', 0, 0],
+  ]);
+  assert.equal(task.dayKey, '2026-10-25');
+  assert.equal(task.bestStreak, 6);
+  assert.equal(events.filter((e) => e.event === 'streak.reset').length, 1);
+});
+
+test('only the rollovers a backdated add can reach keep the state their day started from', () => {
+  const { engine } = fakeEngine();
+  const task = makeTask({ hopper: 3.2, securedToday: true, periodHits: 1, streak: 4 });
+
+  engine.processTaskToToday(task, '2026-10-25');
+  assert.deepEqual(rollovers(task).map((e) => [e.nextDayKey, Boolean(e.startState)]), [
+    ['2026-10-20', false],
+    ['2026-10-21', false],
+    ['2026-10-22', false],
+    ['2026-10-23', true],
+    ['2026-10-24', true],
+    ['2026-10-25', true],
+  ]);
+  assert.ok(replayStart(task, '2026-10-23').start);
+  assert.match(replayStart(task, '2026-10-22').error, /no record/);
+});
+
+test('a held freeze covers the first missed day of a gap', () => {
+  const { engine } = fakeEngine();
+  const task = makeTask({ streak: 4, freezes: 1 });
+  engine.processTaskToToday(task, '2026-10-22');
+  assert.deepEqual(rollovers(task).map((e) => e.outcome), ['frozen', 'broken', 'missed']);
+  assert.equal(task.freezes, 0);
+  assert.equal(task.lastFrozenDayKey, '2026-10-19');
+});
+
+test('days off in a gap neither decay the hopper nor break the streak', () => {
+  const { engine } = fakeEngine();
+  const task = makeTask({
+    dayKey: '2026-10-23', // a Friday
+    schedule: { type: 'weekdays', days: [1, 2, 3, 4, 5] },
+    hopper: 5,
+    securedToday: true,
+    periodHits: 1,
+    streak: 1,
+  });
+
+  engine.processTaskToToday(task, '2026-10-26');
+  assert.deepEqual(rollovers(task).map((e) => [e.outcome, e.hopperAfter, e.autoSecured]), [
+    ['secured', 4, false],
+    ['off', 4, false],
+    ['off', 4, true],
+  ]);
+  assert.equal(task.streak, 2);
+});
+
+test('weekly tasks grow the streak once the week has its secured days', () => {
+  const { engine } = fakeEngine();
+  const schedule = { type: 'weekly', times: 2, window: 'calendar', anchor: '2026-10-19' };
+  const { task, days } = engine.simulate(makeTask({ schedule }), [
+    { day: 0, amount: 1 },
+    { day: 2, amount: 1 },
+    { day: 7, amount: 1 },
+  ], 14);
+
+  assert.deepEqual(days.slice(0, 3).map((d) => d.streak), [0, 0, 1]);
+  assert.equal(days[6].dayKey, '2026-10-25');
+  assert.equal(days[6].streak, 1);
+  assert.equal(days[13].outcome, 'broken');
+  assert.equal(task.streak, 0);
+});
+
+test('booking a rest day that leaves the week with enough secured days counts the week', () => {
+  const { engine } = fakeEngine();
+  const schedule = { type: 'weekly', times: 3, window: 'calendar', anchor: '2026-10-19' };
+  const task = makeTask({ schedule, streak: 4 });
+
+  engine.addToToday(task, 1); // Monday
+  engine.processTaskToToday(task, '2026-10-20');
+  engine.addToToday(task, 1); // Tuesday
+  assert.equal(task.streak, 4);
+  task.restDays.push('2026-10-21'); // what POST /rest-days does, then it re-checks the week
+  assert.equal(engine.settlePeriod(task), true);
+  assert.equal(task.streak, 5);
+  assert.equal(engine.settlePeriod(task), false);
+
+  engine.processTaskToToday(task, '2026-10-22');
+  engine.addToToday(task, 1); // Thursday: a third secured day, the week counted already
+  engine.processTaskToToday(task, '2026-10-26');
+  assert.equal(task.streak, 5);
+  assert.equal(rollovers(task).at(-1).streakBroken, false);
+});
+
+test('cancelling a rest day can\'t count the same week twice', () => {
+  const { engine } = fakeEngine();
+  const schedule = { type: 'weekly', times: 3, window: 'calendar', anchor: '2026-10-19' };
+  const task = makeTask({ schedule, streak: 4, restDays: ['2026-10-20', '2026-10-21'] });
+
+  engine.addToToday(task, 1); // Monday: the one day this week needs
+  assert.equal(task.streak, 5);
+  engine.processTaskToToday(task, '2026-10-20');
+  engine.addToToday(task, 1); // poured on Tuesday's rest day
+  task.restDays = task.restDays.filter((d) => d !== '2026-10-20'); // what DELETE /rest-days/:date does
+  assert.equal(engine.trySecureToday(task, 'rest-cancelled'), true);
+  assert.equal(task.periodHits, 2);
+  assert.equal(task.streak, 5);
+});
+
+test('a rest day booked and cancelled in the same week takes back the week it counted', () => {
+  const { engine } = fakeEngine();
+  const schedule = { type: 'weekly', times: 3, window: 'calendar', anchor: '2026-10-19' };
+  const task = makeTask({ schedule, streak: 4, freezes: 1, countedPeriodKey: '2026-10-12' });
+
+  engine.addToToday(task, 1); // Monday
+  engine.processTaskToToday(task, '2026-10-20');
+  engine.addToToday(task, 1); // Tuesday
+  engine.bookRestDay(task, '2026-10-22');
+  assert.equal(task.streak, 5);
+  assert.equal(task.countedPeriodKey, '2026-10-19');
+  assert.equal(task.freezes, 0);
+
+  const entry = engine.cancelRestDay(task, '2026-10-22');
+  assert.equal(entry.uncounted, true);
+  assert.equal(task.streak, 4);
+  assert.equal(task.countedPeriodKey, '2026-10-12');
+  assert.equal(task.freezes, 1);
+  assert.deepEqual(task.restDays, []);
+
+  engine.processTaskToToday(task, '2026-10-21');
+  engine.addToToday(task, 1); // Wednesday: the third secured day counts the week after all
+  assert.equal(task.streak, 5);
+  assert.equal(task.countedPeriodKey, '2026-10-19');
+});
+
+test('undoing the add that secured the day takes back only what that secure did', () => {
+  const { engine } = fakeEngine();
+  const task = makeTask({ streak: 6, bestStreak: 6, freezes: 1 });
+
+  const { entry, secured, milestone } = engine.addToToday(task, 1);
+  assert.deepEqual([secured, milestone], [true, 7]);
+  assert.equal(task.freezes, 2);
+  task.freezes -= 2; // what POST /rest-days does for two future days, then it re-checks the period
+  task.restDays.push('2026-10-21', '2026-10-22');
+  engine.settlePeriod(task);
+
+  engine.correctAddEntry(task, entry, 0, 'undo');
+  assert.equal(task.securedToday, false);
+  assert.equal(task.streak, 6);
+  assert.equal(task.freezes, 0);
+  assert.deepEqual(task.restDays, ['2026-10-21', '2026-10-22']);
+  assert.equal(task.bestStreak, 6);
+  assert.deepEqual(task.milestones, []);
+});
+
+test('a freeze granted between a secure and its undo is kept', () => {
+  const { engine } = fakeEngine();
+  const task = makeTask({ streak: 3, freezes: 1 });
+
+  const { entry } = engine.addToToday(task, 1);
+  task.freezes += 1; // what POST /freezes does
+  engine.correctAddEntry(task, entry, 0, 'undo');
+  assert.equal(task.streak, 3);
+  assert.equal(task.freezes, 2);
+});
+
+test('a clock that goes backwards moves the task back without rolling over', () => {
+  const { engine, clock } = fakeEngine(Date.parse('2026-10-21T12:00:00Z'));
+  const utc = { timeZone: 'UTC', dayStartHour: 0 };
+  const task = makeTask({ dayKey: '2026-10-21', hopper: 0.5, securedToday: true, periodHits: 1, streak: 3 });
+
+  clock.ms -= 2 * 86400000;
+  assert.equal(engine.today(utc), '2026-10-19');
+  assert.equal(engine.processTaskToToday(task, engine.today(utc)), true);
+  assert.equal(task.dayKey, '2026-10-19');
+  assert.equal(task.securedToday, false);
+  assert.equal(task.streak, 3);
+  assert.deepEqual(task.ledger.map((e) => e.type), ['clock-adjust']);
+  assert.equal(task.ledger[0].fromDayKey, '2026-10-21');
+  assert.equal(task.ledger[0].securedBefore, true);
+
+  clock.ms += 86400000;
+  engine.processTaskToToday(task, engine.today(utc));
+  assert.equal(rollovers(task).length, 1);
+  assert.equal(task.dayKey, '2026-10-20');
+});
+
+test('a clock-settings change behind the task holds it on its day instead of replaying one', () => {
+  const { engine } = fakeEngine();
+  const task = makeTask({ dayKey: '2026-10-20', streak: 4 });
+  engine.addToToday(task, 1);
+  assert.equal(task.streak, 5);
+
+  assert.equal(engine.rebaseTaskDay(task, '2026-10-19', 'settings'), true);
+  assert.equal(engine.rebaseTaskDay(task, '2026-10-19', 'settings'), false);
+  assert.equal(task.dayKey, '2026-10-20');
+  assert.equal(engine.processTaskToToday(task, '2026-10-19'), false);
+  engine.processTaskToToday(task, '2026-10-20');
+  assert.equal(engine.addToToday(task, 0.5).secured, false);
+  assert.equal(task.streak, 5);
+  assert.deepEqual(task.ledger.map((e) => e.type), ['add', 'rebase', 'add']);
+
+  engine.processTaskToToday(task, '2026-10-21');
+  assert.deepEqual(rollovers(task).map((e) => [e.dayKey, e.outcome, e.streakAfter]), [['2026-10-20', 'secured', 5]]);
+});
+
+test('a clock-settings change ahead of the task rolls over each day it skips', () => {
+  const { engine } = fakeEngine();
+  const task = makeTask({ streak: 4, hopper: 1.5 });
+  engine.addToToday(task, 0.5);
+  assert.equal(task.streak, 5);
+
+  assert.equal(engine.rebaseTaskDay(task, '2026-10-21', 'settings'), true);
+  assert.equal(task.dayKey, '2026-10-21');
+  assert.equal(task.securedToday, false);
+  assert.deepEqual(rollovers(task).map((e) => [e.dayKey, e.outcome, e.hopperAfter, e.streakAfter, Boolean(e.startState)]), [
+    ['2026-10-19', 'secured', 1, 6, true],
+    ['2026-10-20', 'secured', 0, 6, true],
+  ]);
+  assert.deepEqual(task.ledger.map((e) => e.type), ['add', 'rebase', 'rollover', 'rollover']);
+});
+
+test('a 25-hour day (DST ends) is still one day', () => {
+  const { engine, clock } = fakeEngine(Date.parse('2026-10-31T04:30:00Z')); // 00:30 EDT
+  const newYork = { timeZone: 'America/New_York', dayStartHour: 0 };
+  const task = makeTask({ dayKey: engine.today(newYork) });
+
+  const seen = [];
+  for (let i = 0; i < 4; i++) {
+    seen.push(engine.today(newYork));
+    engine.processTaskToToday(task, engine.today(newYork));
+    clock.ms += 86400000;
+  }
+  // 24 hours after 00:30 on Nov 1 is 23:30 the same day, clocks having gone back an hour
+  assert.deepEqual(seen, ['2026-10-31', '2026-11-01', '2026-11-01', '2026-11-02']);
+  assert.deepEqual(rollovers(task).map((e) => e.dayKey), ['2026-10-31', '2026-11-01']);
+});
+
+test('the day-start hour holds on either side of a DST change', () => {
+  const berlin = { timeZone: 'Europe/Berlin', dayStartHour: 4 };
+  assert.equal(dayKeyAt(new Date('2026-03-28T02:30:00Z'), berlin), '2026-03-27'); // 03:30 CET
+  assert.equal(dayKeyAt(new Date('2026-03-28T03:30:00Z'), berlin), '2026-03-28'); // 04:30 CET
+  assert.equal(dayKeyAt(new Date('2026-03-29T01:30:00Z'), berlin), '2026-03-28'); // 03:30 CEST
+  assert.equal(dayKeyAt(new Date('2026-03-29T02:30:00Z'), berlin), '2026-03-29'); // 04:30 CEST
+});
+
+test('times and ids come from the injected clock', () => {
+  const { engine, clock } = fakeEngine();
+  const task = makeTask({ streak: 6 });
+  const { entry, secured, milestone } = engine.addToToday(task, 1);
+
+  assert.equal(secured, true);
+  assert.equal(milestone, 7);
+  assert.equal(entry.at, clock.ms);
+  assert.equal(task.lastSecuredAt, clock.ms);
+  assert.deepEqual(task.milestones, [{ value: 7, dayKey: '2026-10-19', at: clock.ms }]);
+  assert.deepEqual(task.ledger.map((e) => e.id), ['e1', 'e2']); // the freeze earned at 7, then the add
+});
+
+test('simulate works on a copy, and a backdated add replays the days since', () => {
+  const { engine } = fakeEngine();
+  const task = makeTask({ streak: 5 });
+  const { task: after, days } = engine.simulate(task, [
+    { day: 0, amount: 1 },
+    { day: 2, amount: 1, date: '2026-10-20' }, // forgot to log on day 1
+    { day: 2, amount: 1 },
+  ], 3);
+
+  assert.deepEqual(days.map((d) => [d.dayKey, d.outcome, d.streak]), [
+    ['2026-10-19', 'secured', 6],
+    ['2026-10-20', 'secured', 7],
+    ['2026-10-21', 'secured', 8],
+  ]);
+  assert.equal(after.freezes, 1);
+  assert.deepEqual(after.milestones.map((m) => m.value), [7]);
+  const replay = after.ledger.find((e) => e.type === 'replay');
+  assert.equal(replay.fromDayKey, '2026-10-20');
+  assert.equal(replay.streakBefore, 0);
+  assert.equal(replay.streakAfter, 7);
+
+  assert.equal(task.streak, 5);
+  assert.deepEqual(task.ledger, []);
+});
+
+test('a day with no recorded start cannot be backdated', () => {
+  const { engine } = fakeEngine();
+  assert.throws(() => engine.simulate(makeTask(), [{ day: 0, amount: 1, date: '2026-10-18' }], 1), /no record of how 2026-10-18 started/);
+});
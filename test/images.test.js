@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+
+const { sniffImage, decodeImage, encodePng, thumbnailVariants } = require('../images');
+const { readMultipart } = require('../multipart');
+
+// A w x h image with a gradient in every channel (alpha too unless `opaque`).
+function gradient(width, height, opaque = false) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      data[o] = (x * 37) & 0xff;
+      data[o + 1] = (y * 59) & 0xff;
+      data[o + 2] = (x * y) & 0xff;
+      data[o + 3] = opaque ? 255 : (x + y * 7) & 0xff;
+    }
+  }
+  return { width, height, data };
+}
+
+// A PNG from its IHDR fields and the bytes its IDAT inflates to (CRCs are left at 0: not checked).
+function rawPng(width, height, inflated, { depth = 8, colorType = 6 } = {}) {
+  const chunk = (type, data) => {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(data.length, 0);
+    head.write(type, 4, 'latin1');
+    return Buffer.concat([head, data, Buffer.alloc(4)]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = depth;
+  ihdr[9] = colorType;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(inflated)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+test('encodePng round-trips through decodeImage, with and without alpha', () => {
+  for (const img of [gradient(13, 7), gradient(5, 9, true)]) {
+    const png = encodePng(img);
+    assert.equal(sniffImage(png).type, 'png');
+    const decoded = decodeImage(png);
+    assert.equal(decoded.width, img.width);
+    assert.equal(decoded.height, img.height);
+    assert.deepEqual(Buffer.from(decoded.data), Buffer.from(img.data));
+  }
+});
+
+test('a truncated image is not decoded', () => {
+  const png = encodePng(gradient(40, 40));
+  assert.equal(decodeImage(png.subarray(0, Math.floor(png.length / 2))), null);
+  assert.equal(decodeImage(png.subarray(0, 20)), null);
+});
+
+test('a header claiming more pixels than MAX_DECODE_PIXELS is refused', () => {
+  assert.equal(decodeImage(rawPng(50_000, 50_000, Buffer.alloc(16))), null);
+});
+
+test('image data inflating past what the header promises is refused before it is all unpacked', () => {
+  const bomb = rawPng(1, 1, Buffer.alloc(64 * 1024 * 1024)); // about 64 KB on disk
+  const before = process.memoryUsage().arrayBuffers;
+  assert.equal(decodeImage(bomb), null);
+  assert.ok(process.memoryUsage().arrayBuffers - before < 16 * 1024 * 1024);
+});
+
+test('thumbnailVariants makes each size in the worker, or none when the image can\'t be decoded', async () => {
+  const variants = await thumbnailVariants(encodePng(gradient(400, 200, true)), { sm: 50, md: 100 });
+  assert.deepEqual(Object.keys(variants), ['sm', 'md']);
+  const sm = decodeImage(variants.sm);
+  const md = decodeImage(variants.md);
+  assert.deepEqual([sm.width, sm.height, md.width, md.height], [100, 50, 200, 100]);
+
+  assert.deepEqual(await thumbnailVariants(Buffer.from('not an image at all'), { sm: 50 }), {});
+});
+
+// A request whose body arrives as `chunks`, and the response that cleans up its temp files.
+function fakeRequest(boundary, chunks) {
+  const req = Readable.from(chunks, { objectMode: false });
+  req.headers = { 'content-type': `multipart/form-data; boundary=${boundary}` };
+  return { req, res: new EventEmitter() };
+}
+
+test('multipart: a boundary split across chunks at any byte still ends the part there', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaks-multipart-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const boundary = '----streaks42';
+  const fileBytes = Buffer.from('\r\n--not-the-boundary\r\n' + 'x'.repeat(50) + '\r\n----streaks4');
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="name"\r\n\r\nRun\r\n`),
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="thumbnail"; filename="a.png"\r\nContent-Type: image/png\r\n\r\n`),
+    fileBytes,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+  const limits = { dir, maxBytes: 1024 * 1024, maxFieldBytes: 1024, maxHeaderBytes: 1024 };
+
+  for (let cut = 1; cut < body.length; cut++) {
+    const { req, res } = fakeRequest(boundary, [body.subarray(0, cut), body.subarray(cut)]);
+    const { fields, files } = await readMultipart(req, res, limits);
+    assert.deepEqual(fields, { name: 'Run' }, `cut at ${cut}`);
+    assert.equal(files.thumbnail.originalName, 'a.png');
+    assert.deepEqual(fs.readFileSync(files.thumbnail.path), fileBytes, `cut at ${cut}`);
+    res.emit('close');
+  }
+});
+
+test('multipart: a body that never closes is an error', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaks-multipart-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { req, res } = fakeRequest('b', [Buffer.from('--b\r\nContent-Disposition: form-data; name="x"\r\n\r\nhalf')]);
+  await assert.rejects(readMultipart(req, res, { dir, maxBytes: 1024, maxFieldBytes: 1024, maxHeaderBytes: 1024 }), /Malformed multipart body/);
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MIGRATIONS, CURRENT_VERSION, migrate } = require('../migrations');
+const { createStorage } = require('../storage');
+
+function v1State() {
+  return {
+    version: 1,
+    createdAt: 1700000000000,
+    backgroundUrl: '/uploads/background-1.png',
+    customTopLevel: { keep: true },
+    tasks: [
+      { id: 'a', name: 'snap', streak: 2, ledger: [], pluginData: [1, 2, 3] },
+    ],
+  };
+}
+
+function ledgerEntry(dayKey, streakAfter, extra = {}) {
+  return { id: `${dayKey}-${streakAfter}`, at: Date.parse(`${dayKey}T12:00:00Z`), type: 'add', dayKey, streakAfter, ...extra };
+}
+
+test('steps are ordered and end at CURRENT_VERSION', () => {
+  MIGRATIONS.forEach((step, i) => assert.equal(step.version, i + 2));
+  assert.equal(CURRENT_VERSION, MIGRATIONS[MIGRATIONS.length - 1].version);
+});
+
+test('no stored state migrates to nothing', () => {
+  assert.deepEqual(migrate(null), { state: null, from: null, to: CURRENT_VERSION, applied: [] });
+});
+
+test('v1 -> v2 moves the task list and background into legacy', () => {
+  const { state } = migrate({ ...v1State(), version: 1 });
+  assert.equal(state.tasks, undefined);
+  assert.equal(state.backgroundUrl, undefined);
+  assert.deepEqual(state.users, []);
+  assert.deepEqual(state.sessions, []);
+  assert.equal(state.legacy.backgroundUrl, '/uploads/background-1.png');
+  assert.deepEqual(state.legacy.tasks.map((t) => t.id), ['a']);
+});
+
+test('v1 -> v2 leaves legacy empty when there was nothing to claim', () => {
+  const { state } = migrate({ version: 1, tasks: [] });
+  assert.equal(state.legacy, null);
+});
+
+test('a file without a version is treated as version 1', () => {
+  const raw = v1State();
+  delete raw.version;
+  const result = migrate(raw);
+  assert.equal(result.from, 1);
+  assert.deepEqual(result.applied, [2, 3]);
+  assert.equal(result.state.legacy.tasks.length, 1);
+});
+
+test('unknown fields survive every step', () => {
+  const { state } = migrate(v1State());
+  assert.deepEqual(state.customTopLevel, { keep: true });
+  assert.equal(state.createdAt, 1700000000000);
+  assert.deepEqual(state.legacy.tasks[0].pluginData, [1, 2, 3]);
+});
+
+test('v2 -> v3 recovers the best streak and milestones from the ledger', () => {
+  const ledger = [];
+  for (let i = 1; i <= 8; i++) ledger.push(ledgerEntry(`2026-01-0${i}`, i));
+  ledger.push({ ...ledgerEntry('2026-01-10', 0), type: 'rollover', streakBefore: 8 });
+  ledger.push(ledgerEntry('2026-01-11', 1));
+  const raw = {
+    version: 2,
+    users: [{ id: 'u1', username: 'alice', passwordHash: 'x', tasks: [{ id: 't', streak: 1, ledger }] }],
+    sessions: [],
+    legacy: null,
+  };
+
+  const { state, applied } = migrate(raw);
+  assert.deepEqual(applied, [3]);
+  const task = state.users[0].tasks[0];
+  assert.equal(task.bestStreak, 8);
+  assert.equal(task.bestStreakDayKey, '2026-01-08');
+  assert.deepEqual(task.milestones, [{ value: 7, dayKey: '2026-01-07', at: Date.parse('2026-01-07T12:00:00Z') }]);
+});
+
+test('v2 -> v3 never lowers a best streak or replaces recorded milestones', () => {
+  const milestones = [{ value: 7, dayKey: '2025-12-01', at: null }];
+  const raw = {
+    version: 2,
+    users: [],
+    sessions: [],
+    legacy: { tasks: [{ id: 't', streak: 3, bestStreak: 40, bestStreakDayKey: '2025-12-20', milestones, ledger: [ledgerEntry('2026-01-01', 3)] }] },
+  };
+  const task = migrate(raw).state.legacy.tasks[0];
+  assert.equal(task.bestStreak, 40);
+  assert.equal(task.bestStreakDayKey, '2025-12-20');
+  assert.deepEqual(task.milestones, milestones);
+});
+
+test('v2 -> v3 tolerates tasks without a ledger', () => {
+  const raw = { version: 2, users: [{ id: 'u', username: 'bob', tasks: [{ id: 't', streak: 5 }, null] }], legacy: null };
+  const [task, missing] = migrate(raw).state.users[0].tasks;
+  assert.equal(task.bestStreak, 5);
+  assert.deepEqual(task.milestones, []);
+  assert.equal(missing, null);
+});
+
+test('the stored document itself is not modified', () => {
+  const raw = v1State();
+  const before = structuredClone(raw);
+  migrate(raw);
+  assert.deepEqual(raw, before);
+});
+
+test('a current document passes through untouched', () => {
+  const raw = { version: CURRENT_VERSION, users: [], sessions: [], legacy: null, extra: 'x' };
+  const result = migrate(raw);
+  assert.deepEqual(result.applied, []);
+  assert.deepEqual(result.state, raw);
+});
+
+test('a document from a newer build is refused', () => {
+  assert.throws(() => migrate({ version: CURRENT_VERSION + 1 }), (err) => err.code === 'ESTATENEWER');
+});
+
+test('a document that is not an object is refused', () => {
+  assert.throws(() => migrate([]), /JSON object/);
+});
+
+test('a migrated journal loads as migrated once a save has touched only one task', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaks-migrate-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const ledger = [];
+  for (let i = 1; i <= 8; i++) ledger.push(ledgerEntry(`2026-01-0${i}`, i));
+  ledger.push({ ...ledgerEntry('2026-01-10', 0), type: 'rollover', streakBefore: 8 });
+  const v2 = {
+    version: 2,
+    users: [{ id: 'u1', username: 'alice', tasks: [{ id: 'old', streak: 0, ledger }, { id: 'busy', streak: 0, ledger: [] }] }],
+    sessions: [],
+    legacy: null,
+  };
+  const seed = createStorage('journal', { dir });
+  await seed.writeAll(v2);
+
+  // what server.js does on start: migrate, write the whole state back, then save as tasks change
+  const storage = createStorage('journal', { dir });
+  const { state, applied } = migrate(await storage.load());
+  assert.deepEqual(applied, [3]);
+  await storage.writeAll(state);
+  state.users[0].tasks[1].streak = 1;
+  await storage.save(state);
+
+  const reloaded = migrate(await createStorage('journal', { dir }).load());
+  assert.deepEqual(reloaded.applied, []);
+  const old = reloaded.state.users[0].tasks[0];
+  assert.equal(old.bestStreak, 8);
+  assert.deepEqual(old.milestones.map((m) => m.value), [7]);
+  assert.equal(reloaded.state.users[0].tasks[1].streak, 1);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStorage } = require('../storage');
+
+let hasSqlite = true;
+try {
+  require('node:sqlite');
+} catch {
+  hasSqlite = false;
+}
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaks-storage-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function sampleState() {
+  return {
+    version: 3,
+    users: [{
+      id: 'u1',
+      username: 'ada',
+      tasks: [
+        { id: 't1', name: 'Run', updatedAt: 1, status: 'active', ledger: [] },
+        { id: 't2', name: 'Read', updatedAt: 1, status: 'active', ledger: [] },
+      ],
+    }],
+    sessions: [],
+    legacy: null,
+  };
+}
+
+for (const backend of ['journal', 'sqlite']) {
+  test(`${backend}: a change that leaves updatedAt alone is still written`, { skip: backend === 'sqlite' && !hasSqlite && 'needs node:sqlite' }, async () => {
+    const dir = tempDir();
+    const first = createStorage(backend, { dir });
+    await first.writeAll(sampleState());
+    first.close();
+
+    const second = createStorage(backend, { dir });
+    const state = await second.load();
+    state.users[0].tasks[0].slug = 'run'; // what load-time normalization does, without touching updatedAt
+    await second.save(state);
+    second.close();
+
+    const third = createStorage(backend, { dir });
+    const reloaded = await third.load();
+    third.close();
+    assert.equal(reloaded.users[0].tasks[0].slug, 'run');
+    assert.equal(reloaded.users[0].tasks[1].slug, undefined);
+  });
+}
+
+test('journal: a save with nothing changed appends nothing', async () => {
+  const dir = tempDir();
+  const storage = createStorage('journal', { dir });
+  await storage.writeAll(sampleState());
+  const before = fs.readFileSync(path.join(dir, 'data.journal'), 'utf8');
+  await storage.save(sampleState());
+  assert.equal(fs.readFileSync(path.join(dir, 'data.journal'), 'utf8'), before);
+});
+
+test('journal: a task changed in place is written once its updatedAt moves, even within the same millisecond', async () => {
+  const dir = tempDir();
+  const storage = createStorage('journal', { dir });
+  const state = sampleState();
+  await storage.writeAll(state);
+  const run = state.users[0].tasks[0];
+  for (const name of ['Run 5k', 'Run 10k']) {
+    run.name = name;
+    run.updatedAt = Date.now();
+    await storage.save(state);
+  }
+  storage.close();
+
+  const reloaded = await createStorage('journal', { dir }).load();
+  assert.equal(reloaded.users[0].tasks[0].name, 'Run 10k');
+  const lines = fs.readFileSync(path.join(dir, 'data.journal'), 'utf8').trim().split('\n');
+  assert.deepEqual(lines.slice(1).map((l) => JSON.parse(l).task.id), ['t1', 't1']);
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const { RETRY_DELAYS_MS, webhookSignature, queueWebhookDelivery, isWebhookInFlight, attemptWebhookDelivery } = require('../webhooks');
+
+// A stand-in receiver on a local port: answers every POST with `status` (after `delayMs`) and keeps
+// what it got.
+async function startReceiver(status = 200, { delayMs = 0, body = '' } = {}) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      setTimeout(() => {
+        res.statusCode = status;
+        res.end(body);
+      }, delayMs);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  test.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+function makeHook(url) {
+  return { url, secret: crypto.randomBytes(32).toString('hex'), deliveries: [] };
+}
+
+test('each request is signed over "<t>.<raw body>" with the webhook secret', async () => {
+  const { url, received } = await startReceiver();
+  const hook = makeHook(url);
+  const delivery = queueWebhookDelivery(hook, { event: 'task.secured', occurredAt: 1, task: { id: 't1' } }, 50);
+  assert.equal(await attemptWebhookDelivery(hook, delivery), true);
+
+  const [req] = received;
+  assert.equal(req.headers['x-streaks-event'], 'task.secured');
+  assert.equal(req.headers['x-streaks-delivery'], delivery.id);
+  assert.equal(JSON.parse(req.body).id, delivery.id);
+  const m = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(req.headers['x-streaks-signature']);
+  assert.ok(m, req.headers['x-streaks-signature']);
+  assert.ok(Math.abs(Number(m[1]) - Date.now() / 1000) < 60);
+  const expected = crypto.createHmac('sha256', hook.secret).update(`${m[1]}.${req.body}`).digest('hex');
+  assert.equal(m[2], expected);
+  assert.equal(webhookSignature(hook.secret, m[1], req.body), expected);
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.nextAttemptAt, null);
+});
+
+test('a failing target is retried on the schedule, then the delivery has failed', async () => {
+  const { url, received } = await startReceiver(500, { body: 'internal details' });
+  const hook = makeHook(url);
+  const delivery = queueWebhookDelivery(hook, { event: 'ping' }, 50);
+
+  for (const delay of RETRY_DELAYS_MS) {
+    await attemptWebhookDelivery(hook, delivery);
+    const attempt = delivery.attempts.at(-1);
+    assert.equal(delivery.status, 'pending');
+    const wait = delivery.nextAttemptAt - attempt.at;
+    assert.ok(wait >= delay && wait < delay + 5000, `waits ${wait} ms, not ${delay}`);
+  }
+  await attemptWebhookDelivery(hook, delivery);
+  assert.equal(received.length, RETRY_DELAYS_MS.length + 1);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.deepEqual(Object.keys(delivery.attempts[0]).sort(), ['at', 'durationMs', 'status']);
+  assert.equal(delivery.attempts[0].status, 500);
+});
+
+test('a delivery being sent is not sent again by a retry that meets it', async () => {
+  const { url, received } = await startReceiver(204, { delayMs: 100 });
+  const hook = makeHook(url);
+  const delivery = queueWebhookDelivery(hook, { event: 'ping' }, 50);
+
+  const ticker = attemptWebhookDelivery(hook, delivery);
+  assert.equal(isWebhookInFlight(delivery), true);
+  assert.equal(await attemptWebhookDelivery(hook, delivery), false);
+  assert.equal(await ticker, true);
+  assert.equal(isWebhookInFlight(delivery), false);
+  assert.equal(received.length, 1);
+  assert.equal(delivery.attempts.length, 1);
+  assert.equal(delivery.status, 'delivered');
+});
+
+test('the delivery log keeps only the newest deliveries', () => {
+  const hook = makeHook('http://127.0.0.1:9/hook');
+  for (let i = 0; i < 5; i++) queueWebhookDelivery(hook, { event: 'ping', n: i }, 3);
+  assert.deepEqual(hook.deliveries.map((d) => d.payload.n), [2, 3, 4]);
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const { generateVapidKeys, isValidSubscription, sendNotification, decryptPayload } = require('../webpush');
+
+// A stand-in push service on a local port: answers every POST with `status` and keeps what it got.
+async function startReceiver(status = 201) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  test.after(() => server.close());
+  return { origin: `http://127.0.0.1:${server.address().port}`, received };
+}
+
+// A browser's side of a subscription: its keys, and what PushManager.subscribe() would hand the page.
+function subscriber(endpoint) {
+  const ecdh = crypto.createECDH('prime256v1');
+  const auth = crypto.randomBytes(16);
+  const subscription = { endpoint, keys: { p256dh: ecdh.generateKeys().toString('base64url'), auth: auth.toString('base64url') } };
+  return { subscription, privateKey: ecdh.getPrivateKey(), auth };
+}
+
+// The VAPID public key (an uncompressed P-256 point) as a KeyObject.
+function vapidPublicKey(publicKey) {
+  const raw = Buffer.from(publicKey, 'base64url');
+  return crypto.createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: raw.subarray(1, 33).toString('base64url'), y: raw.subarray(33).toString('base64url') },
+    format: 'jwk',
+  });
+}
+
+test('a notification reaches the receiver encrypted, and decrypts to the payload', async () => {
+  const { origin, received } = await startReceiver();
+  const { subscription, privateKey, auth } = subscriber(`${origin}/push/abc`);
+  assert.ok(isValidSubscription(subscription));
+  const vapid = generateVapidKeys();
+  const payload = { title: '⏳ Run', body: 'Not secured yet today: 1 to go.', tag: 'reminder-t1', url: '/' };
+
+  const out = await sendNotification(subscription, payload, vapid, { subject: 'mailto:admin@example.com', ttl: 60 });
+  assert.deepEqual(out, { status: 201, gone: false });
+
+  const [req] = received;
+  assert.equal(req.method, 'POST');
+  assert.equal(req.url, '/push/abc');
+  assert.equal(req.headers['content-encoding'], 'aes128gcm');
+  assert.equal(req.headers.ttl, '60');
+  assert.ok(!req.body.includes(Buffer.from('Not secured')));
+  assert.deepEqual(JSON.parse(decryptPayload(req.body, privateKey, auth)), payload);
+});
+
+test('the Authorization header is a VAPID JWT for the receiver, signed with the server key', async () => {
+  const { origin, received } = await startReceiver();
+  const { subscription } = subscriber(`${origin}/push/xyz`);
+  const vapid = generateVapidKeys();
+  await sendNotification(subscription, { title: 'x' }, vapid, { subject: 'mailto:admin@example.com' });
+
+  const m = /^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+), k=([\w-]+)$/.exec(received[0].headers.authorization);
+  assert.ok(m, received[0].headers.authorization);
+  const [, header, claims, signature, k] = m;
+  assert.equal(k, vapid.publicKey);
+  assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { typ: 'JWT', alg: 'ES256' });
+  const body = JSON.parse(Buffer.from(claims, 'base64url'));
+  assert.equal(body.aud, origin);
+  assert.equal(body.sub, 'mailto:admin@example.com');
+  assert.ok(body.exp > Date.now() / 1000 && body.exp <= Date.now() / 1000 + 24 * 3600);
+  const verified = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), {
+    key: vapidPublicKey(vapid.publicKey),
+    dsaEncoding: 'ieee-p1363',
+  }, Buffer.from(signature, 'base64url'));
+  assert.equal(verified, true);
+});
+
+test('a subscription the push service no longer knows is reported gone', async () => {
+  const { origin } = await startReceiver(410);
+  const { subscription } = subscriber(`${origin}/push/expired`);
+  const out = await sendNotification(subscription, { title: 'x' }, generateVapidKeys(), { subject: 'mailto:a@b.c' });
+  assert.deepEqual(out, { status: 410, gone: true });
+});
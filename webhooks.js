@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Outgoing webhook deliveries: the signed POST, the attempt log and the retry schedule.
+ *
+ *   const delivery = queueWebhookDelivery(hook, { event, ... }, limit);   // pending, due now
+ *   await attemptWebhookDelivery(hook, delivery);   // false: it is being sent already
+ *
+ * `hook` is { url, secret, deliveries }. Each request carries X-Streaks-Event, X-Streaks-Delivery and
+ * X-Streaks-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the secret>.
+ * Anything but a 2xx is retried after each of RETRY_DELAYS_MS, then the delivery has failed.
+ *
+ * An attempt records { at, status | error, durationMs } and nothing of what the target answered: the
+ * URL can be any address the server reaches (a local service included), and the delivery log is
+ * shown to the webhook's owner. Tests: test/webhooks.test.js
+ */
+
+const crypto = require('crypto');
+
+const RETRY_DELAYS_MS = [30000, 120000, 600000, 3600000, 6 * 3600000];
+const TIMEOUT_MS = 10000;
+const IN_FLIGHT = new Set(); // ids of the deliveries being POSTed right now
+
+function webhookSignature(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Adds a pending delivery of `payload` (its id becomes the payload's id) to the hook's log, keeping the
+// last `limit`.
+function queueWebhookDelivery(hook, payload, limit) {
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  const delivery = { id, event: payload.event, createdAt: now, status: 'pending', nextAttemptAt: now, attempts: [], payload: { id, ...payload } };
+  hook.deliveries = [...hook.deliveries, delivery].slice(-limit);
+  return delivery;
+}
+
+function isWebhookInFlight(delivery) {
+  return IN_FLIGHT.has(delivery.id);
+}
+
+// One POST of `delivery`; records the attempt and schedules the next one (or gives up). Returns false
+// without sending if the delivery is being sent already (by the ticker or a manual retry).
+async function attemptWebhookDelivery(hook, delivery, { timeoutMs = TIMEOUT_MS } = {}) {
+  if (IN_FLIGHT.has(delivery.id)) return false;
+  IN_FLIGHT.add(delivery.id);
+  try {
+    await postWebhookDelivery(hook, delivery, timeoutMs);
+  } finally {
+    IN_FLIGHT.delete(delivery.id);
+  }
+  return true;
+}
+
+async function postWebhookDelivery(hook, delivery, timeoutMs) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { at: Date.now() };
+  try {
+    const res = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'streaks-overload-webhooks',
+        'X-Streaks-Event': delivery.event,
+        'X-Streaks-Delivery': delivery.id,
+        'X-Streaks-Signature': `t=${timestamp},v1=${webhookSignature(hook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    attempt.status = res.status;
+    await res.arrayBuffer().catch(() => null); // read and dropped
+  } catch (err) {
+    attempt.error = err.name === 'TimeoutError' ? 'Timed out' : 'Could not connect';
+  }
+  attempt.durationMs = Date.now() - attempt.at;
+  delivery.attempts.push(attempt);
+
+  if (attempt.status >= 200 && attempt.status < 300) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length > RETRY_DELAYS_MS.length) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.nextAttemptAt = Date.now() + RETRY_DELAYS_MS[delivery.attempts.length - 1];
+  }
+}
+
+module.exports = {
+  RETRY_DELAYS_MS,
+  webhookSignature,
+  queueWebhookDelivery,
+  isWebhookInFlight,
+  attemptWebhookDelivery,
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Web Push (RFC 8030) with VAPID authentication (RFC 8292) and aes128gcm payload encryption
+ * (RFC 8188 / RFC 8291), using only node:crypto and fetch.
+ *
+ *   const vapid = generateVapidKeys();               // keep it: browsers subscribe against publicKey
+ *   await sendNotification(subscription, { title }, vapid, { subject: 'mailto:me@example.com' });
+ *
+ * `subscription` is what PushManager.subscribe() returns in the browser (its toJSON()):
+ * { endpoint, keys: { p256dh, auth } }. The push service at `endpoint` can be any URL, so a local
+ * stand-in receiver works for testing (decrypt with decryptPayload, as a browser would; see
+ * test/webpush.test.js).
+ */
+
+const crypto = require('crypto');
+
+const RECORD_SIZE = 4096;
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+// { publicKey: base64url of the uncompressed P-256 point, privateKey: JWK }
+function generateVapidKeys() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const raw = Buffer.concat([Buffer.from([4]), Buffer.from(jwk.x, 'base64url'), Buffer.from(jwk.y, 'base64url')]);
+  return { publicKey: b64url(raw), privateKey: privateKey.export({ format: 'jwk' }) };
+}
+
+function isValidSubscription(sub) {
+  if (!sub || typeof sub !== 'object' || typeof sub.endpoint !== 'string') return false;
+  let url;
+  try {
+    url = new URL(sub.endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+  const keys = sub.keys || {};
+  if (typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') return false;
+  return Buffer.from(keys.p256dh, 'base64url').length === 65 && Buffer.from(keys.auth, 'base64url').length === 16;
+}
+
+function vapidAuthorization(endpoint, vapid, subject) {
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 3600,
+    sub: subject,
+  }));
+  const key = crypto.createPrivateKey({ key: vapid.privateKey, format: 'jwk' });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${vapid.publicKey}`;
+}
+
+// Content encryption keys shared by both ends (RFC 8291 section 3.4).
+function deriveKeys(ecdhSecret, authSecret, uaPublic, asPublic, salt) {
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', ecdhSecret, authSecret, keyInfo, 32));
+  return {
+    cek: Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16)),
+    nonce: Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12)),
+  };
+}
+
+// One aes128gcm record: salt | record size | key id (our ephemeral public key) | ciphertext + tag.
+function encryptPayload(subscription, plaintext) {
+  const uaPublic = Buffer.from(subscription.keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+  const ecdh = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const salt = crypto.randomBytes(16);
+  const { cek, nonce } = deriveKeys(ecdh.computeSecret(uaPublic), authSecret, uaPublic, asPublic, salt);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(plaintext), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+  if (body.length + 86 > RECORD_SIZE) throw new Error('Push payload too large');
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, body]);
+}
+
+// The receiving side: what a browser does with a push message. `uaPrivate` is the subscriber's ECDH
+// private key (raw, 32 bytes). For stand-in receivers and tests.
+function decryptPayload(body, uaPrivate, authSecret) {
+  const salt = body.subarray(0, 16);
+  const idLen = body.readUInt8(20);
+  const asPublic = body.subarray(21, 21 + idLen);
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.setPrivateKey(uaPrivate);
+  const { cek, nonce } = deriveKeys(ecdh.computeSecret(asPublic), authSecret, ecdh.getPublicKey(), asPublic, salt);
+  const data = body.subarray(21 + idLen);
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(data.subarray(data.length - 16));
+  const padded = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+  return padded.subarray(0, padded.lastIndexOf(2)).toString('utf8');
+}
+
+// Resolves to { status, gone } — `gone` (404/410) means the subscription has expired and should be
+// dropped. Network errors reject.
+async function sendNotification(subscription, payload, vapid, { subject, ttl = 3600, timeoutMs = 10000 } = {}) {
+  const res = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Encoding': 'aes128gcm',
+      TTL: String(ttl),
+      Urgency: 'normal',
+      Authorization: vapidAuthorization(subscription.endpoint, vapid, subject),
+    },
+    body: encryptPayload(subscription, JSON.stringify(payload)),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  await res.arrayBuffer().catch(() => null);
+  return { status: res.status, gone: res.status === 404 || res.status === 410 };
+}
+
+module.exports = { generateVapidKeys, isValidSubscription, sendNotification, encryptPayload, decryptPayload };